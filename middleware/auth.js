@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { verifyAccessToken } = require('../utils/tokens');
+
+// Resolves req.user from "Authorization: Bearer <accessToken>"
+const requireAuth = async (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const payload = verifyAccessToken(token);
+    if (!payload) return res.status(401).json({ error: 'Invalid or expired token' });
+
+    try {
+        const user = await User.findById(payload.sub);
+        // Accounts pending deletion are signed out until restored by logging in again
+        if (!user || user.deletion?.scheduledFor) return res.status(401).json({ error: 'Invalid or expired token' });
+
+        req.user = user;
+        next();
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// Social features (friends, battles) need a verified email so friend codes can't be farmed
+// by throwaway accounts. Accounts from before verification existed have no flag and pass.
+const requireVerifiedEmail = (req, res, next) => {
+    if (req.user.emailVerified === false) {
+        return res.status(403).json({ error: 'Verify your email to use social features', code: 'EMAIL_NOT_VERIFIED' });
+    }
+    next();
+};
+
+// Scheduled job triggers. Vercel cron sends "Authorization: Bearer <CRON_SECRET>".
+const requireCronSecret = (req, res, next) => {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) return res.status(503).json({ error: 'Jobs are not configured' });
+
+    const expected = Buffer.from(`Bearer ${secret}`);
+    const actual = Buffer.from(req.headers.authorization || '');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+    next();
+};
+
+module.exports = { requireAuth, requireVerifiedEmail, requireCronSecret };
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const Habit = require('../models/Habit');
+
+// --- POLICIES ---
+// Each policy answers "may this user act on this document?"
+
+const ownsHabit = (user, habit) => Boolean(habit.userId && habit.userId.equals(user._id));
+
+// Only the invited side (the pending copy) can accept/reject a battle
+const canRespondToBattle = (user, habit) =>
+    ownsHabit(user, habit) && habit.type === 'battle' && habit.battleStatus === 'pending';
+
+// Only the creator can call off a battle, and only before it starts
+const canCancelBattle = (user, habit) =>
+    ownsHabit(user, habit) && habit.type === 'battle' && habit.battleStatus === 'waiting';
+
+// --- MIDDLEWARE ---
+
+// Loads the habit identified by getId(req) into req.habit and enforces the policy
+const authorizeHabit = (policy, getId = (req) => req.params.id) => async (req, res, next) => {
+    const id = getId(req);
+    if (!mongoose.isValidObjectId(id)) return res.status(404).json({ error: 'Habit not found' });
+
+    try {
+        const habit = await Habit.findById(id);
+        if (!habit) return res.status(404).json({ error: 'Habit not found' });
+        if (!policy(req.user, habit)) return res.status(403).json({ error: 'Forbidden' });
+
+        req.habit = habit;
+        next();
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// Path param must be the authenticated user's own id
+const requireSelf = (param = 'id') => (req, res, next) => {
+    if (req.params[param] !== req.user.id) return res.status(403).json({ error: 'Forbidden' });
+    next();
+};
+
+// Path param must be the authenticated user or one of their friends
+const requireSelfOrFriend = (param = 'id') => (req, res, next) => {
+    const targetId = req.params[param];
+    const isFriend = req.user.friends.some(f => f.toString() === targetId);
+    if (targetId !== req.user.id && !isFriend) return res.status(403).json({ error: 'Forbidden' });
+    next();
+};
+
+const habitFromBody = (req) => req.body?.habitId;
+
+module.exports = {
+    ownsHabit,
+    canRespondToBattle,
+    canCancelBattle,
+    authorizeHabit,
+    requireSelf,
+    requireSelfOrFriend,
+    habitFromBody
+};
@@ -0,0 +1,64 @@
+const { getStore } = require('../utils/rateLimitStore');
+
+const retryAfterSeconds = (resetAt) => Math.max(1, Math.ceil((new Date(resetAt) - Date.now()) / 1000));
+
+// A named limit: at most `max` hits per key within `windowMs`.
+// Store failures fail open (logged) so a database hiccup never locks everyone out.
+const createLimiter = ({ name, windowMs, max, message = 'Too many requests. Try again later.' }) => {
+    const fullKey = (key) => `${name}:${key}`;
+
+    const limiter = {
+        // Counts a hit; returns { limited, retryAfter }
+        async hit(key) {
+            try {
+                const { count, resetAt } = await getStore().hit(fullKey(key), windowMs);
+                return { limited: count > max, retryAfter: retryAfterSeconds(resetAt) };
+            } catch (err) {
+                console.error(`Rate limiter "${name}" failed:`, err.message);
+                return { limited: false, retryAfter: 0 };
+            }
+        },
+
+        async reset(key) {
+            try {
+                await getStore().reset(fullKey(key));
+            } catch (err) {
+                console.error(`Rate limiter "${name}" failed:`, err.message);
+            }
+        },
+
+        // Express middleware counting every request under keyFn(req) (client IP by default)
+        middleware(keyFn = (req) => req.ip) {
+            return async (req, res, next) => {
+                const { limited, retryAfter } = await limiter.hit(keyFn(req));
+                if (limited) {
+                    res.set('Retry-After', String(retryAfter));
+                    return res.status(429).json({ error: message });
+                }
+                next();
+            };
+        }
+    };
+
+    return limiter;
+};
+
+// --- LIMITS ---
+const MINUTE = 60 * 1000;
+
+const limiters = {
+    loginIp: createLimiter({ name: 'login-ip', windowMs: 15 * MINUTE, max: 30 }),
+    // Login attempts per account, counted before the password check; a successful login clears it
+    loginAccount: createLimiter({
+        name: 'login-account',
+        windowMs: 15 * MINUTE,
+        max: 5,
+        message: 'Too many failed attempts. Try again later.'
+    }),
+    forgotIp: createLimiter({ name: 'forgot-ip', windowMs: 60 * MINUTE, max: 10 }),
+    forgotAccount: createLimiter({ name: 'forgot-account', windowMs: 60 * MINUTE, max: 3 }),
+    resetIp: createLimiter({ name: 'reset-ip', windowMs: 15 * MINUTE, max: 20 }),
+    verificationEmail: createLimiter({ name: 'verification-email', windowMs: 60 * MINUTE, max: 3 })
+};
+
+module.exports = { createLimiter, limiters };
@@ -0,0 +1,39 @@
+const { runSchema } = require('../utils/validation');
+
+// Validates req.body / req.query / req.params against declarative schemas (see schemas/requests.js).
+// On success the sanitized, whitelisted values replace the originals; otherwise responds 400:
+// { error: 'Validation failed', details: [{ field: 'body.color', message: '...' }] }
+const validate = (schemas) => (req, res, next) => {
+    const details = [];
+    const sanitized = {};
+
+    for (const part of ['params', 'query', 'body']) {
+        if (!schemas[part]) continue;
+        const { value, errors } = runSchema(schemas[part], req[part], part);
+        details.push(...errors);
+        sanitized[part] = value;
+    }
+
+    if (details.length > 0) return res.status(400).json({ error: 'Validation failed', details });
+
+    if (sanitized.body) req.body = sanitized.body;
+    // Express 5 exposes query/params through getters, so redefine them on the request
+    if (sanitized.query) Object.defineProperty(req, 'query', { value: sanitized.query, writable: true, configurable: true });
+    if (sanitized.params) req.params = { ...req.params, ...sanitized.params };
+    next();
+};
+
+// Body parser failures (express.json) in the same shape, instead of Express's HTML error page:
+// malformed JSON is a 400, a body over the size limit a 413. Register after the routes.
+const BODY_ERRORS = {
+    'entity.parse.failed': { status: 400, message: 'must be valid JSON' },
+    'entity.too.large': { status: 413, message: 'is too large' }
+};
+
+const handleBodyErrors = (err, req, res, next) => {
+    const known = BODY_ERRORS[err.type];
+    if (!known) return next(err);
+    res.status(known.status).json({ error: 'Validation failed', details: [{ field: 'body', message: known.message }] });
+};
+
+module.exports = { validate, handleBodyErrors };
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const ACTIVITY_TYPES = [
+    'habit_completed',
+    'streak_milestone',
+    'level_up',
+    'hell_week_started',
+    'hell_week_completed',
+    'battle_won'
+];
+
+// Feed events are short-lived; older ones are removed by the TTL index
+const ACTIVITY_RETENTION_DAYS = 90;
+
+// One event in a player's activity feed (shown to their friends)
+const activitySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ACTIVITY_TYPES,
+        required: true
+    },
+    // Subject of the event, when there is one. habitName is copied so the
+    // event still reads well after the habit is renamed or deleted.
+    habitId: { type: mongoose.Schema.Types.ObjectId, ref: 'Habit', default: null },
+    habitName: { type: String, default: null },
+    sharedGroupId: { type: String, default: null }, // Battle group
+    date: { type: String, default: null }, // "YYYY-MM-DD" local day for completions
+    streak: { type: Number }, // streak_milestone
+    level: { type: Number }, // level_up
+    opponentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // battle_won
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: ACTIVITY_RETENTION_DAYS * 24 * 60 * 60
+    }
+});
+
+activitySchema.index({ userId: 1, createdAt: -1 });
+
+activitySchema.statics.TYPES = ACTIVITY_TYPES;
+activitySchema.statics.RETENTION_DAYS = ACTIVITY_RETENTION_DAYS;
+
+module.exports = mongoose.model('Activity', activitySchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { isValidTimeString } = require('../utils/dates');
+const { SCHEDULE_KINDS, validateSchedule } = require('../utils/schedule');
+const { recordRepChange, scheduleFirstIncrement } = require('../utils/reps');
 
 const habitSchema = new mongoose.Schema({
     userId: {
@@ -20,11 +23,30 @@ const habitSchema = new mongoose.Schema({
         type: String,
         default: '#4F46E5' // Default indigo-ish
     },
+    // Which days the habit is due (see utils/schedule.js). Missing = daily.
+    schedule: {
+        kind: { type: String, enum: SCHEDULE_KINDS, default: 'daily' },
+        days: { type: [Number], default: undefined }, // 0 = Sunday ... 6 = Saturday
+        timesPerWeek: { type: Number, min: 1, max: 7 },
+        everyDays: { type: Number, min: 1, max: 365 }
+    },
     // We prefer storing dates as "YYYY-MM-DD" strings for easy unique checking
     completedDates: {
         type: [String],
         default: []
     },
+    // Per-day amounts for rep-based habits. A day is only in completedDates once quantity >= target.
+    // Format: [{ date: "YYYY-MM-DD", quantity: 40, target: 50, unit: 'pushups' }]
+    completionLog: {
+        type: [{
+            date: String,
+            quantity: { type: Number, min: 0 },
+            target: Number, // reps target when logged
+            unit: String,
+            loggedAt: { type: Date, default: Date.now }
+        }],
+        default: []
+    },
     // Tracks dates that already granted XP with timestamps (for undo window)
     // Format: [{ date: "YYYY-MM-DD", grantedAt: Date }]
     xpGrantedDates: {
@@ -49,6 +71,26 @@ const habitSchema = new mongoose.Schema({
     repIncrement: { type: Number, default: 0 }, // Amount to increase
     repIncrementFrequency: { type: String, default: 'none' }, // 'none', 'weekly', 'monthly'
     nextIncrementDate: { type: Date },
+    // Every change to the rep target: automatic increments and manual edits
+    repHistory: {
+        type: [{
+            reps: Number,
+            previousReps: Number,
+            reason: { type: String, enum: ['initial', 'increment', 'manual'] },
+            changedAt: { type: Date, default: Date.now }
+        }],
+        default: []
+    },
+    // Reminder email time, "HH:MM" in the owner's timezone (null = no reminder). See services/reminders.js
+    reminderTime: {
+        type: String,
+        default: null,
+        validate: {
+            validator: v => v === null || isValidTimeString(v),
+            message: props => `${props.value} is not a valid HH:MM time`
+        }
+    },
+    lastRemindedOn: { type: String, default: null }, // "YYYY-MM-DD" local day of the last reminder
     createdAt: {
         type: Date,
         default: Date.now
@@ -65,11 +107,35 @@ const habitSchema = new mongoose.Schema({
     },
     // Battle Logic
     type: { type: String, enum: ['solo', 'battle'], default: 'solo' },
-    battleStatus: { type: String, enum: ['pending', 'active', 'completed', 'rejected', 'waiting'], default: 'active' }, // waiting = creator waiting for partner
+    // waiting = creator waiting for partners, accepted = invitee waiting for the quorum (see services/battles.js)
+    battleStatus: { type: String, enum: ['pending', 'accepted', 'active', 'completed', 'rejected', 'waiting'], default: 'active' },
     battleDuration: { type: Number, default: 7 }, // days
     battleStartDate: { type: Date },
     battleWinner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    battleCreatorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    battleQuorum: { type: Number, min: 1 }, // Invitees that must accept before the battle starts
+    battlePlacement: { type: Number }, // Final rank (1 = best), ties share a placement
+    battleDraw: { type: Boolean, default: false },
+    battleScore: { type: Number }, // Scheduled completions inside the battle window
+    battleResolvedAt: { type: Date }, // Set once when the battle is settled (expiry or surrender)
+    battleSettled: { type: Boolean }, // Scored at expiry; set in the same write that claims this copy's payout
     isVisible: { type: Boolean, default: true } // Helper to hide pending invites if needed
 });
 
+// The reminder dispatcher only looks at habits with a reminder set
+habitSchema.index({ reminderTime: 1 }, { partialFilterExpression: { reminderTime: { $type: 'string' } } });
+
+// Cross-field schedule checks (e.g. weekday schedules need days)
+habitSchema.pre('validate', function () {
+    const error = validateSchedule(this.schedule);
+    if (error) this.invalidate('schedule', error);
+});
+
+// New rep-based habits start their target history and increment clock
+habitSchema.pre('save', function () {
+    if (!this.isNew || !this.isRepBased) return;
+    if (this.repHistory.length === 0) recordRepChange(this, null, 'initial', this.createdAt);
+    scheduleFirstIncrement(this, this.createdAt);
+});
+
 module.exports = mongoose.model('Habit', habitSchema);
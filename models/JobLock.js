@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// One document per job name. Holding the lock means lockedUntil is in the future,
+// so a crashed run frees it on its own once the lease runs out.
+const jobLockSchema = new mongoose.Schema({
+    _id: {
+        type: String // Job name
+    },
+    lockedUntil: {
+        type: Date,
+        required: true
+    },
+    owner: {
+        type: String
+    },
+    // Where a job that ran out of time picks up on its next run (see services/jobs.js)
+    cursor: {
+        type: String
+    }
+});
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
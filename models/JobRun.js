@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Runs are kept for a month for debugging, then removed by the TTL index
+const JOB_RUN_RETENTION_DAYS = 30;
+
+// One execution of a scheduled job (see services/jobs.js)
+const jobRunSchema = new mongoose.Schema({
+    job: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['succeeded', 'failed'],
+        required: true
+    },
+    // What started it: Vercel cron hitting /jobs/tick, the in-process scheduler, or a manual run
+    trigger: {
+        type: String,
+        enum: ['cron', 'scheduler', 'manual'],
+        required: true
+    },
+    // The tick this run belongs to; the next run is due an interval after it
+    scheduledAt: { type: Date },
+    startedAt: {
+        type: Date,
+        required: true,
+        expires: JOB_RUN_RETENTION_DAYS * 24 * 60 * 60
+    },
+    finishedAt: { type: Date },
+    durationMs: { type: Number },
+    result: { type: mongoose.Schema.Types.Mixed }, // Job-specific counters, e.g. { resolved: 2 }
+    error: { type: String }
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
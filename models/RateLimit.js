@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Shared counter for rate limiting, so limits hold across serverless instances
+const rateLimitSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// MongoDB removes windows once they expire
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
@@ -1,5 +1,15 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { DEFAULT_TIMEZONE, isValidTimezone, isValidTimeString } = require('../utils/dates');
+
+const localTime = (defaultValue) => ({
+  type: String,
+  default: defaultValue,
+  validate: {
+    validator: isValidTimeString,
+    message: props => `${props.value} is not a valid HH:MM time`
+  }
+});
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -36,10 +46,40 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: 'shadow_beast' // Can be customized later
   },
+  // Net XP for the current week (Monday UTC). Reset by applyXp when a new week starts.
+  weeklyXp: {
+    weekStart: { type: String }, // "YYYY-MM-DD"
+    amount: { type: Number, default: 0 }
+  },
+  // Set by the first XP ledger write; XP from before the ledger existed is booked then (services/xp.js)
+  xpLedgerOpened: { type: Boolean },
+  // Best current streak across the user's habits, kept in sync for leaderboards
+  currentStreak: {
+    type: Number,
+    default: 0
+  },
+  // IANA timezone (e.g. 'Europe/Istanbul') used for local day boundaries
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimezone,
+      message: props => `${props.value} is not a valid timezone`
+    }
+  },
   hellWeek: {
     isActive: { type: Boolean, default: false },
     startDate: { type: Date },
-    targetDate: { type: Date }
+    targetDate: { type: Date },
+    // Habits snapshotted at start; the server judges these when the week ends
+    habits: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Habit' }],
+    // Their schedules at start, so editing a habit mid-week can't change what it's judged against
+    schedules: [{
+      habitId: { type: mongoose.Schema.Types.ObjectId, ref: 'Habit' },
+      schedule: { type: mongoose.Schema.Types.Mixed }
+    }],
+    result: { type: String, enum: ['completed', 'failed', 'surrendered'] },
+    resolvedAt: { type: Date }
   },
   createdAt: {
     type: Date,
@@ -55,12 +95,61 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Incoming requests. Rejected ones are kept (timestamp = rejection time) to enforce
+  // the re-request cooldown in services/friends.js.
   friendRequests: [{
     from: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     status: { type: String, enum: ['pending', 'rejected'], default: 'pending' },
     timestamp: { type: Date, default: Date.now }
   }],
-  // Password Reset
+  // What friends can see in the activity feed (GET /social/feed)
+  privacy: {
+    shareActivity: { type: Boolean, default: true },
+    showHabitNames: { type: Boolean, default: true }
+  },
+  // Habit reminder emails (services/reminders.js). Quiet hours are local times and may wrap midnight.
+  reminders: {
+    enabled: { type: Boolean, default: true },
+    quietHoursStart: localTime('22:00'),
+    quietHoursEnd: localTime('07:00'),
+    dailyCap: { type: Number, default: 3, min: 1, max: 10 } // Reminder emails per local day
+  },
+  // Reminder emails sent on `date` ("YYYY-MM-DD" local), for the daily cap
+  reminderLog: {
+    date: { type: String },
+    count: { type: Number, default: 0 }
+  },
+  // Local "YYYY-MM-DD" the streak job last reconciled this user; streaks only break at local midnight
+  streaksReconciledOn: { type: String },
+  // Weekly summary email (services/digest.js), off unless the user opts in
+  digest: {
+    enabled: { type: Boolean, default: false },
+    lastSentWeek: { type: String } // "YYYY-MM-DD" Monday of the last week summarized
+  },
+  // Blocked players can't send us friend requests or battle invites
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Email verification. Set to false on registration; accounts created before
+  // verification existed have no value and are treated as verified.
+  emailVerified: {
+    type: Boolean
+  },
+  verificationCode: {
+    type: String,
+    select: false
+  },
+  verificationCodeExpires: {
+    type: Date,
+    select: false
+  },
+  verificationAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  // Password Reset (resetCode holds an HMAC of the code, never the code itself)
   resetCode: {
     type: String,
     select: false
@@ -68,9 +157,32 @@ const userSchema = new mongoose.Schema({
   resetCodeExpires: {
     type: Date,
     select: false
+  },
+  // Wrong codes entered for the current resetCode; too many invalidates it
+  resetAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  // Account deletion grace period (see services/accounts.js)
+  deletion: {
+    requestedAt: { type: Date },
+    scheduledFor: { type: Date }
+  },
+  // Auth: bumped to revoke all outstanding refresh tokens
+  tokenVersion: {
+    type: Number,
+    default: 0
   }
 });
 
+// Leaderboards read these instead of scanning users (see services/leaderboards.js). Each starts
+// with the deletion flag every board filters on (equality), then the board's exact sort, _id
+// tiebreak included, so both the top-N query and the rank count are served by the index.
+userSchema.index({ 'deletion.scheduledFor': 1, platformXp: -1, _id: 1 });
+userSchema.index({ 'deletion.scheduledFor': 1, 'weeklyXp.weekStart': 1, 'weeklyXp.amount': -1, _id: 1 });
+userSchema.index({ 'deletion.scheduledFor': 1, currentStreak: -1, _id: 1 });
+
 // Hash password before saving
 userSchema.pre('save', async function () {
   if (!this.isModified('password')) return;
@@ -113,4 +225,46 @@ userSchema.pre('save', async function () {
   }
 });
 
+// --- SERIALIZATION ---
+// Whitelists only: anything not listed here (password, resetCode, tokenVersion...) never leaves the server
+
+// Visible to other players (friend lists, populated partnerId/userId). No email: friends find
+// each other by friend code, and an address is contact info the owner never chose to share.
+const PUBLIC_FIELDS = ['_id', 'firstName', 'lastName', 'level', 'platformXp', 'monsterType', 'hellWeek'];
+
+// Other players see whether someone is in Hell Week, not which habits (or schedules) it covers
+const PUBLIC_HELL_WEEK_FIELDS = ['isActive', 'startDate', 'targetDate', 'result', 'resolvedAt'];
+
+// Visible to the account owner
+const PRIVATE_FIELDS = [...PUBLIC_FIELDS, 'email', 'friendCode', 'friends', 'blockedUsers', 'privacy', 'reminders', 'digest', 'timezone', 'emailVerified', 'createdAt'];
+
+const pick = (obj, fields) => {
+  const out = {};
+  for (const field of fields) {
+    if (obj[field] !== undefined) out[field] = obj[field];
+  }
+  return out;
+};
+
+const publicView = (obj) => {
+  const out = pick(obj, PUBLIC_FIELDS);
+  if (out.hellWeek) out.hellWeek = pick(out.hellWeek, PUBLIC_HELL_WEEK_FIELDS);
+  return out;
+};
+
+userSchema.statics.PUBLIC_SELECT = PUBLIC_FIELDS.join(' ');
+
+userSchema.methods.toPublicJSON = function () {
+  return publicView(this.toObject());
+};
+
+userSchema.methods.toPrivateJSON = function () {
+  return pick(this.toObject(), PRIVATE_FIELDS);
+};
+
+// Default serialization is the public view, so a raw res.json(user) can't leak internals
+userSchema.set('toJSON', {
+  transform: (doc, ret) => publicView(ret)
+});
+
 module.exports = mongoose.model('User', userSchema);
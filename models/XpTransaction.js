@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const XP_REASONS = [
+    'habit_completed',
+    'habit_uncompleted', // Undo within the refund window
+    'hell_week_bonus', // Multiplier on top of habit XP during Hell Week
+    'hell_week_completed',
+    'hell_week_failed',
+    'hell_week_surrendered',
+    'battle_won',
+    'battle_lost',
+    'battle_draw',
+    'battle_placed', // 2nd/3rd place in a group battle
+    'battle_surrendered',
+    'adjustment' // Opening balance for XP earned before the ledger existed, and manual corrections
+];
+
+// Append-only ledger: every platformXp change writes one entry
+const xpTransactionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Applied change (after clamping XP at 0), so the ledger always sums to platformXp
+    amount: {
+        type: Number,
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: XP_REASONS,
+        required: true
+    },
+    balanceAfter: { type: Number },
+    // Source of the change, when there is one
+    habitId: { type: mongoose.Schema.Types.ObjectId, ref: 'Habit', default: null },
+    sharedGroupId: { type: String, default: null }, // Battle group
+    date: { type: String, default: null }, // "YYYY-MM-DD" completion the change belongs to
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+xpTransactionSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+
+xpTransactionSchema.statics.REASONS = XP_REASONS;
+
+module.exports = mongoose.model('XpTransaction', xpTransactionSchema);
@@ -0,0 +1,31 @@
+const { string, number, boolean, oneOf, time, hexColor, array, object } = require('../utils/validation');
+const { SCHEDULE_KINDS, validateSchedule } = require('../utils/schedule');
+const { INCREMENT_FREQUENCIES } = require('../utils/reps');
+
+// --- HABIT SCHEMAS ---
+// Shared by the habit routes (schemas/requests.js) and the importer (services/import.js),
+// so an imported habit is held to the same rules as one created through the API.
+
+const schedule = () => object({
+    kind: oneOf(SCHEDULE_KINDS).optional(),
+    days: array(number({ integer: true, min: 0, max: 6 }), { max: 7 }).optional(),
+    timesPerWeek: number({ integer: true, min: 1, max: 7 }).optional(),
+    everyDays: number({ integer: true, min: 1, max: 365 }).optional()
+}, { refine: validateSchedule });
+
+// Fields a client may set on its own habit. Ownership, XP bookkeeping and battle
+// state (userId, xpGrantedDates, battleWinner, ...) are server-managed.
+const habitFields = {
+    name: string({ min: 1, max: 100 }),
+    rules: string({ max: 1000 }).optional(),
+    color: hexColor().optional(),
+    schedule: schedule().optional(),
+    isRepBased: boolean().optional(),
+    reps: number({ integer: true, min: 0, max: 100000 }).optional(),
+    repUnit: string({ min: 1, max: 30 }).optional(),
+    repIncrement: number({ integer: true, min: 0, max: 10000 }).optional(),
+    repIncrementFrequency: oneOf(['none', ...INCREMENT_FREQUENCIES]).optional(),
+    reminderTime: time().nullable().optional() // null turns the reminder off
+};
+
+module.exports = { habitFields };
@@ -0,0 +1,193 @@
+const {
+    string, number, boolean, oneOf, date, time, dateTime, objectId, email, password, timezone, array, object, any
+} = require('../utils/validation');
+const { habitFields } = require('./habit');
+const { IMPORT_FORMATS } = require('../services/import');
+const { LEADERBOARD_SCOPES, LEADERBOARD_METRICS } = require('../services/leaderboards');
+const { MAX_BATTLE_INVITEES } = require('../services/battles');
+const { JOB_NAMES } = require('../services/jobs');
+
+// --- REQUEST SCHEMAS ---
+// One entry per route: { params?, query?, body? }. Used with middleware/validate.js.
+// Fields not listed here never reach the handlers.
+
+const name = () => string({ max: 50 });
+const code = () => string({ pattern: /^\d{6}$/, patternMessage: 'must be a 6-digit code' });
+const action = (...actions) => oneOf(actions);
+
+const userIdParam = object({ id: objectId() });
+
+const schemas = {
+    register: {
+        body: object({
+            email: email(),
+            password: password(),
+            firstName: name().optional(),
+            lastName: name().optional(),
+            timezone: timezone().optional()
+        })
+    },
+    updateUser: {
+        params: userIdParam,
+        body: object({
+            firstName: name().optional(),
+            lastName: name().optional(),
+            timezone: timezone().optional(),
+            privacy: object({
+                shareActivity: boolean().optional(),
+                showHabitNames: boolean().optional()
+            }).optional(),
+            reminders: object({
+                enabled: boolean().optional(),
+                quietHoursStart: time().optional(),
+                quietHoursEnd: time().optional(),
+                dailyCap: number({ integer: true, min: 1, max: 10 }).optional()
+            }).optional(),
+            digest: object({ enabled: boolean().optional() }).optional()
+        })
+    },
+    deleteUser: {
+        params: userIdParam,
+        body: object({
+            password: string({ min: 1, max: 128, trim: false }),
+            immediate: boolean().optional()
+        })
+    },
+    login: {
+        // No strength rules here: older accounts may predate them
+        body: object({
+            email: email(),
+            password: string({ min: 1, max: 128, trim: false })
+        })
+    },
+    refresh: {
+        body: object({ refreshToken: string({ min: 1, max: 2000 }) })
+    },
+    verifyEmail: {
+        body: object({ code: code() })
+    },
+    forgotPassword: {
+        body: object({ email: email() })
+    },
+    resetPassword: {
+        body: object({
+            email: email(),
+            code: code(),
+            newPassword: password()
+        })
+    },
+    createHabit: {
+        body: object({
+            ...habitFields,
+            partnerId: objectId().optional(),
+            partnerIds: array(objectId(), { max: MAX_BATTLE_INVITEES }).optional(),
+            quorum: number({ integer: true, min: 1, max: MAX_BATTLE_INVITEES }).optional(),
+            battleDuration: number({ integer: true, min: 1, max: 90 }).optional()
+        })
+    },
+    updateHabit: {
+        body: object(Object.fromEntries(
+            Object.entries(habitFields).map(([key, rule]) => [key, rule.optional()])
+        ))
+    },
+    importHabits: {
+        body: object({
+            format: oneOf(IMPORT_FORMATS),
+            data: any(),
+            dryRun: boolean().optional()
+        })
+    },
+    toggleHabit: {
+        body: object({ date: date() })
+    },
+    logQuantity: {
+        // Negative amounts only make sense with mode 'add'; the route checks that
+        body: object({
+            date: date(),
+            quantity: number({ min: -100000, max: 100000 }),
+            mode: action('set', 'add').optional()
+        })
+    },
+    habitStats: {
+        query: object({ days: number({ integer: true, min: 1, max: 730 }).optional() })
+    },
+    hellWeek: {
+        params: object({ userId: objectId() }),
+        body: object({ action: action('start', 'surrender') })
+    },
+    battleAction: {
+        body: object({ habitId: objectId() })
+    },
+    respondToBattle: {
+        body: object({ habitId: objectId(), action: action('accept', 'reject') })
+    },
+    rematch: {
+        body: object({ sharedGroupId: objectId() })
+    },
+    addFriend: {
+        body: object({
+            friendCode: string({ pattern: /^[a-zA-Z0-9]{5}$/, patternMessage: 'must be a 5-character friend code' })
+        })
+    },
+    handleFriendRequest: {
+        body: object({ requesterId: objectId(), action: action('accept', 'reject') })
+    },
+    cancelFriendRequest: {
+        body: object({ userId: objectId() })
+    },
+    removeFriend: {
+        body: object({ friendId: objectId() })
+    },
+    blockUser: {
+        body: object({ userId: objectId() })
+    },
+    headToHead: {
+        params: object({ friendId: objectId() })
+    },
+    feed: {
+        query: object({
+            limit: number({ integer: true, min: 1, max: 100 }).optional(),
+            before: dateTime().optional()
+        })
+    },
+    leaderboard: {
+        params: object({ scope: oneOf(LEADERBOARD_SCOPES) }),
+        query: object({
+            metric: oneOf(LEADERBOARD_METRICS).optional(),
+            limit: number({ integer: true, min: 1, max: 100 }).optional()
+        })
+    },
+    getUser: {
+        params: userIdParam
+    },
+    xpHistory: {
+        params: userIdParam,
+        query: object({
+            limit: number({ integer: true, min: 1, max: 200 }).optional(),
+            before: dateTime().optional(),
+            beforeId: objectId().optional()
+        })
+    },
+    userStats: {
+        params: userIdParam,
+        query: object({ days: number({ integer: true, min: 1, max: 730 }).optional() })
+    },
+    exportCsv: {
+        params: userIdParam,
+        query: object({ habitId: objectId().optional() })
+    },
+    unsubscribe: {
+        query: object({ token: string({ min: 1, max: 200 }) })
+    },
+    runJob: {
+        params: object({ name: oneOf(JOB_NAMES) })
+    },
+    jobRuns: {
+        query: object({
+            job: oneOf(JOB_NAMES).optional(),
+            limit: number({ integer: true, min: 1, max: 200 }).optional()
+        })
+    }
+};
+
+module.exports = schemas;
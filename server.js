@@ -4,16 +4,51 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const User = require('./models/User');
 const Habit = require('./models/Habit');
-const { Resend } = require('resend');
-
-// Initialize Resend with API Key from env
-const resend = new Resend(process.env.RESEND_API_KEY);
+const { requireAuth, requireVerifiedEmail, requireCronSecret } = require('./middleware/auth');
+const { ownsHabit, canRespondToBattle, canCancelBattle, authorizeHabit, requireSelf, requireSelfOrFriend, habitFromBody } = require('./middleware/policies');
+const { issueTokens, verifyRefreshToken } = require('./utils/tokens');
+const { calculateStreak, habitCompletionStats } = require('./utils/streak');
+const { calculateLevel } = require('./utils/levels');
+const { applyXp, getXpHistory } = require('./services/xp');
+const { toggleCompletion, logQuantity } = require('./services/completions');
+const { habitStats, userStats } = require('./services/stats');
+const { buildExportBundle, habitToCsv, habitsToCsv, habitsToIcs } = require('./services/export');
+const { importHabits } = require('./services/import');
+const { limiters } = require('./middleware/rateLimit');
+const { validate, handleBodyErrors } = require('./middleware/validate');
+const schemas = require('./schemas/requests');
+const { generateCode, hashCode, verifyCode } = require('./utils/codes');
+const { codeEmailHtml, codeEmailText, unsubscribeConfirmPageHtml, unsubscribedPageHtml } = require('./utils/emailTemplates');
+const { DELETION_GRACE_DAYS, scheduleAccountDeletion, cancelAccountDeletion, purgeAccount } = require('./services/accounts');
+const {
+    MAX_BATTLE_INVITEES, createBattle, acceptBattleInvite, declineBattleInvite, cancelBattle, withdrawFromBattle,
+    resolveBattleIfExpired, resolveExpiredBattlesForUser, getBattleScoreboard,
+    getHeadToHeadBattles, summarizeHeadToHead, rematchHabitData, findRematch
+} = require('./services/battles');
+const { getFeed } = require('./services/activity');
+const { refreshUserStreak, getLeaderboard } = require('./services/leaderboards');
+const { reconcileHabits } = require('./services/reconcile');
+const { runJob, runDueJobs, getJobRuns, startScheduler } = require('./services/jobs');
+const {
+    EMAIL_LISTS, EMAIL_NOT_CONFIGURED, isEmailConfigured, sendEmail, verifyUnsubscribeToken
+} = require('./services/mailer');
+const {
+    isBlockedBetween, requestCooldownEnds, removeFriendship, blockUser, unblockUser, listSentRequests, cancelSentRequest
+} = require('./services/friends');
+const { HELL_WEEK_MIN_LEVEL, startHellWeek, resolveHellWeekIfEnded, surrenderHellWeek } = require('./services/hellWeek');
+const { toLocalDateString, addDays } = require('./utils/dates');
+const { normalizeSchedule } = require('./utils/schedule');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+app.set('trust proxy', 1); // Vercel / reverse proxies set X-Forwarded-For (used for per-IP limits)
 app.use(cors());
-app.use(express.json());
+// Default body limit everywhere except the import, which parses its own (larger) body after auth
+const IMPORT_PATH = '/habits/import';
+const jsonBody = express.json();
+const importJsonBody = express.json({ limit: '5mb' }); // Habit imports can carry years of history
+app.use((req, res, next) => (req.path === IMPORT_PATH ? next() : jsonBody(req, res, next)));
 
 // MongoDB Connection
 mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/monster_app', {})
@@ -21,109 +56,159 @@ mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/monster_app
     .catch(err => console.error('❌ MongoDB Connection Error:', err));
 
 // --- HELPERS ---
-const calculateStreak = (completedDates) => {
-    if (!completedDates || completedDates.length === 0) return 0;
-
-    // Filter valid dates, deduplicate, and sort descending
-    const sorted = [...new Set(completedDates)]
-        .filter(d => d) // Remove null/undefined
-        .sort((a, b) => new Date(b) - new Date(a));
-
-    if (sorted.length === 0) return 0;
-
-    const todayStr = new Date().toISOString().split('T')[0];
-    const yesterdayDate = new Date();
-    yesterdayDate.setDate(yesterdayDate.getDate() - 1);
-    const yesterdayStr = yesterdayDate.toISOString().split('T')[0];
-
-    const latestStr = sorted[0];
-
-    // If the latest completion is before yesterday, streak is broken.
-    if (latestStr < yesterdayStr) {
-        return 0;
-    }
-
-    // Calculate Streak
-    let streak = 0;
-
-    // We start checking from the latest completed date
-    // And move backwards 1 day at a time
-    let checkDate = new Date(latestStr);
-
-    for (const dateStr of sorted) {
-        // Generate string for checkDate to match "YYYY-MM-DD"
-        const checkDateStr = checkDate.toISOString().split('T')[0];
-
-        if (dateStr === checkDateStr) {
-            streak++;
-            // Move back 1 day
-            checkDate.setDate(checkDate.getDate() - 1);
-        } else {
-            // Gap found
-            break;
-        }
-    }
-
-    return streak;
+const RESET_CODE_TTL_MS = 10 * 60 * 1000; // 10 mins
+const MAX_RESET_ATTEMPTS = 5;
+
+// Same answer whether or not the email exists, so the endpoint can't be used to find accounts
+const FORGOT_PASSWORD_RESPONSE = { message: 'If an account exists for that email, a reset code has been sent' };
+
+const VERIFICATION_CODE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_VERIFICATION_ATTEMPTS = 5;
+
+// Counts one guess against a live 'verification' or 'reset' code before it is checked, so parallel
+// guesses each use up an attempt. Returns the user with the code, or null once it's expired or used up.
+const claimCodeAttempt = (filter, kind, maxAttempts) => User.findOneAndUpdate(
+    {
+        ...filter,
+        [`${kind}Code`]: { $type: 'string' },
+        [`${kind}CodeExpires`]: { $gt: new Date() },
+        [`${kind}Attempts`]: { $not: { $gte: maxAttempts } } // Also matches accounts from before the counter
+    },
+    { $inc: { [`${kind}Attempts`]: 1 } },
+    { returnDocument: 'after' }
+).select(`+${kind}Code +${kind}CodeExpires +${kind}Attempts`);
+
+// The last allowed wrong guess burns the code; the user has to request a new one
+const burnCodeIfExhausted = async (user, kind, maxAttempts) => {
+    if (user[`${kind}Attempts`] < maxAttempts) return;
+    await User.updateOne(
+        { _id: user._id, [`${kind}Code`]: user[`${kind}Code`] },
+        { $unset: { [`${kind}Code`]: 1, [`${kind}CodeExpires`]: 1 } }
+    );
 };
 
-// --- RPG HELPERS ---
-const LEVEL_THRESHOLDS = [0, 100, 300, 600, 1000, 1500, 2100, 2800, 3600, 5000, 10000, 20000];
-
-const calculateLevel = (xp) => {
-    let level = 1;
-    for (let i = 1; i < LEVEL_THRESHOLDS.length; i++) {
-        if (xp >= LEVEL_THRESHOLDS[i]) {
-            level = i + 1;
-        } else {
-            break;
-        }
-    }
-    return level;
+// Issues a fresh verification code (hash stored on the user) and emails it
+const sendVerificationCode = async (user) => {
+    const code = generateCode();
+    user.verificationCode = hashCode(code, user._id, 'verify');
+    user.verificationCodeExpires = Date.now() + VERIFICATION_CODE_TTL_MS;
+    user.verificationAttempts = 0;
+    await user.save();
+
+    const content = {
+        intro: 'Welcome, monster. Enter the code below in the app to verify your email.',
+        code,
+        footer: 'CODE EXPIRES IN 24 HOURS'
+    };
+    await sendEmail({
+        to: user.email,
+        subject: 'Verify Your Monster Email',
+        html: codeEmailHtml(content),
+        text: codeEmailText(content)
+    });
 };
 
 // --- ROUTES ---
 
 // 1. REGISTER
-app.post('/register', async (req, res) => {
+app.post('/register', validate(schemas.register), async (req, res) => {
     try {
-        const { email, password, firstName, lastName } = req.body;
+        const { email, password, firstName, lastName, timezone } = req.body;
         // Password hashing is handled in User model pre-save hook
         const user = new User({
             email,
             password,
             firstName: firstName || '',
-            lastName: lastName || ''
+            lastName: lastName || '',
+            timezone, // Falls back to schema default when omitted
+            emailVerified: false
         });
         await user.save();
-        res.status(201).json({ user, message: 'User created' });
+
+        // Registration succeeds even if the email fails; the user can ask for a new code
+        try {
+            await sendVerificationCode(user);
+        } catch (err) {
+            console.error('Failed to send verification email:', err.message);
+        }
+        res.status(201).json({ user: user.toPrivateJSON(), ...issueTokens(user), message: 'User created' });
     } catch (err) {
         res.status(400).json({ error: err.message });
     }
 });
 
+// Battle windows, Hell Week days and the backfill limit on competitive habits follow the user's
+// timezone, so it's fixed while either is running: moving mid-way could shift or stretch a judged day.
+// Returns what's running, or null.
+const timezoneLock = async (user) => {
+    await resolveHellWeekIfEnded(user);
+    if (user.hellWeek?.isActive) return 'Hell Week';
+    const inBattle = await Habit.exists({ userId: user._id, type: 'battle', battleStatus: 'active' });
+    return inBattle ? 'a battle' : null;
+};
+
 // 1.5 UPDATE USER PROFILE
-app.put('/user/:id', async (req, res) => {
+app.put('/user/:id', requireAuth, validate(schemas.updateUser), requireSelf('id'), async (req, res) => {
     try {
-        const { firstName, lastName } = req.body;
-        const user = await User.findById(req.params.id);
-
-        if (!user) return res.status(404).json({ error: 'User not found' });
+        const { firstName, lastName, timezone, privacy, reminders, digest } = req.body;
+        const user = req.user;
 
+        if (timezone !== undefined && timezone !== user.timezone) {
+            const lockedBy = await timezoneLock(user);
+            if (lockedBy) return res.status(409).json({ error: `Your timezone can't change during ${lockedBy}` });
+            user.timezone = timezone;
+        }
         if (firstName !== undefined) user.firstName = firstName;
         if (lastName !== undefined) user.lastName = lastName;
+        for (const [key, value] of Object.entries(privacy || {})) user.set(`privacy.${key}`, value);
+        for (const [key, value] of Object.entries(reminders || {})) user.set(`reminders.${key}`, value);
+        if (digest?.enabled !== undefined) user.set('digest.enabled', digest.enabled);
 
         await user.save();
-        res.json(user);
+        res.json(user.toPrivateJSON());
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 1.6 DELETE ACCOUNT (password re-confirmation required)
+// Starts a grace period; logging in again before it ends restores the account.
+// Pass immediate: true to skip the grace period.
+app.delete('/user/:id', requireAuth, validate(schemas.deleteUser), requireSelf('id'), async (req, res) => {
+    const { password, immediate } = req.body;
+    try {
+        const user = req.user;
+        if (!(await user.comparePassword(password))) {
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        if (immediate) {
+            await purgeAccount(user._id);
+            return res.json({ message: 'Account deleted' });
+        }
+
+        const scheduledFor = await scheduleAccountDeletion(user);
+        res.status(202).json({
+            message: `Account will be deleted in ${DELETION_GRACE_DAYS} days. Log in again to cancel.`,
+            scheduledFor
+        });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
 // 2. LOGIN
-app.post('/login', async (req, res) => {
+app.post('/login', limiters.loginIp.middleware(), validate(schemas.login), async (req, res) => {
     try {
         const { email, password } = req.body;
+
+        // Per-account lockout: every attempt counts before the password is checked, so parallel
+        // guesses can't all get in under the limit. A successful login clears the count.
+        const { limited } = await limiters.loginAccount.hit(email);
+        if (limited) {
+            return res.status(429).json({ error: 'Too many failed attempts. Try again later.' });
+        }
+
         // Find by email only first
         const user = await User.findOne({ email });
         if (!user) return res.status(401).json({ error: 'Invalid credentials' });
@@ -132,7 +217,10 @@ app.post('/login', async (req, res) => {
         const isMatch = await user.comparePassword(password);
 
         if (isMatch) {
-            return res.json({ user });
+            await limiters.loginAccount.reset(email);
+            // Logging in during the deletion grace period restores the account
+            const restored = await cancelAccountDeletion(user);
+            return res.json({ user: user.toPrivateJSON(), ...issueTokens(user), restored });
         }
 
         // 2. Fallback: Migration for legacy plain-text passwords
@@ -144,7 +232,9 @@ app.post('/login', async (req, res) => {
             user.password = password;
             user.markModified('password');
             await user.save();
-            return res.json({ user });
+            await limiters.loginAccount.reset(email);
+            const restored = await cancelAccountDeletion(user);
+            return res.json({ user: user.toPrivateJSON(), ...issueTokens(user), restored });
         }
 
         return res.status(401).json({ error: 'Invalid credentials' });
@@ -153,46 +243,117 @@ app.post('/login', async (req, res) => {
     }
 });
 
+// 2.1 REFRESH TOKENS
+app.post('/auth/refresh', validate(schemas.refresh), async (req, res) => {
+    const { refreshToken } = req.body;
+    try {
+        const payload = verifyRefreshToken(refreshToken);
+        if (!payload) return res.status(401).json({ error: 'Invalid or expired token' });
+
+        const user = await User.findById(payload.sub);
+        // Token version mismatch means the session was revoked (logout / password reset)
+        if (!user || (user.tokenVersion || 0) !== payload.ver) {
+            return res.status(401).json({ error: 'Invalid or expired token' });
+        }
+
+        res.json(issueTokens(user));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 2.2 LOGOUT (revokes all refresh tokens)
+app.post('/auth/logout', requireAuth, async (req, res) => {
+    try {
+        req.user.tokenVersion = (req.user.tokenVersion || 0) + 1;
+        await req.user.save();
+        res.json({ message: 'Logged out' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 2.3 VERIFY EMAIL
+app.post('/auth/verify-email', requireAuth, validate(schemas.verifyEmail), async (req, res) => {
+    const { code } = req.body;
+    try {
+        if (req.user.emailVerified !== false) return res.json({ message: 'Email already verified' });
+
+        const user = await claimCodeAttempt({ _id: req.user._id }, 'verification', MAX_VERIFICATION_ATTEMPTS);
+        if (!user) return res.status(400).json({ error: 'Invalid or expired code' });
+
+        if (!verifyCode(code, user.verificationCode, user._id, 'verify')) {
+            await burnCodeIfExhausted(user, 'verification', MAX_VERIFICATION_ATTEMPTS);
+            return res.status(400).json({ error: 'Invalid or expired code' });
+        }
+
+        user.emailVerified = true;
+        user.verificationCode = undefined;
+        user.verificationCodeExpires = undefined;
+        user.verificationAttempts = 0;
+        await user.save();
+
+        res.json({ message: 'Email verified', user: user.toPrivateJSON() });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 2.4 RESEND VERIFICATION CODE
+app.post('/auth/resend-verification', requireAuth, async (req, res) => {
+    try {
+        if (req.user.emailVerified !== false) return res.json({ message: 'Email already verified' });
+        if (!isEmailConfigured()) return res.status(503).json({ error: EMAIL_NOT_CONFIGURED });
+
+        const { limited, retryAfter } = await limiters.verificationEmail.hit(req.user.id);
+        if (limited) {
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({ error: 'Too many requests. Try again later.' });
+        }
+
+        await sendVerificationCode(req.user);
+        res.json({ message: 'Verification code sent' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // 2.5 FORGOT PASSWORD
-app.post('/forgot-password', async (req, res) => {
+app.post('/forgot-password', limiters.forgotIp.middleware(), validate(schemas.forgotPassword), async (req, res) => {
     const { email } = req.body;
     try {
+        // Checked before looking the account up, so the answer doesn't depend on whether it exists
+        if (!isEmailConfigured()) return res.status(503).json({ error: EMAIL_NOT_CONFIGURED });
+
+        // Cap emails per address; over the cap we silently skip sending
+        const { limited } = await limiters.forgotAccount.hit(email);
+        if (limited) return res.json(FORGOT_PASSWORD_RESPONSE);
+
         const user = await User.findOne({ email });
-        if (!user) return res.status(404).json({ error: 'User not found' });
+        if (!user) return res.json(FORGOT_PASSWORD_RESPONSE);
 
         // Generate 6 digit code
-        const code = Math.floor(100000 + Math.random() * 900000).toString();
+        const code = generateCode();
 
-        // Set expiry (10 mins)
-        user.resetCode = code;
-        user.resetCodeExpires = Date.now() + 10 * 60 * 1000;
+        // Only the hash is stored; a new code also resets the attempt counter
+        user.resetCode = hashCode(code, user._id, 'reset');
+        user.resetCodeExpires = Date.now() + RESET_CODE_TTL_MS;
+        user.resetAttempts = 0;
         await user.save();
 
-        if (!process.env.RESEND_API_KEY) {
-            console.log('⚠️ No RESEND_API_KEY found. Printing code to console:');
-            console.log(`RESET CODE for ${email}: ${code}`);
-            return res.json({ message: 'Code sent (Check server logs for dev mode)' });
-        }
-
-        await resend.emails.send({
-            from: 'Monster App <onboarding@resend.dev>', // Update this if you have a custom domain
+        const content = {
+            intro: 'You requested a password reset. Use the code below to complete the process.',
+            code,
+            footer: 'CODE EXPIRES IN 10 MINUTES'
+        };
+        await sendEmail({
             to: email,
             subject: 'Reset Your Monster Password',
-            html: `
-            <div style="background-color: #000000; color: #ffffff; padding: 40px; font-family: monospace; text-align: center;">
-              <div style="margin-bottom: 40px;">
-                <h1 style="color: #ffffff; font-size: 48px; letter-spacing: 8px; margin: 0; font-weight: 900; text-shadow: 0 0 10px #ffffff;">MONSTER</h1>
-              </div>
-              <div style="background-color: #111111; padding: 40px; border-radius: 0px; border: 1px solid #333333; display: inline-block; max-width: 400px; width: 100%;">
-                <p style="color: #aaaaaa; font-size: 16px; margin-bottom: 30px; line-height: 1.5;">You requested a password reset. Use the code below to complete the process.</p>
-                <div style="font-size: 42px; font-weight: bold; letter-spacing: 12px; color: #ffffff; margin: 30px 0; border: 2px solid #333; padding: 20px; background: #000;">${code}</div>
-                <p style="color: #555555; font-size: 12px; margin-top: 30px;">CODE EXPIRES IN 10 MINUTES</p>
-              </div>
-            </div>
-            `
+            html: codeEmailHtml(content),
+            text: codeEmailText(content)
         });
 
-        res.json({ message: 'Code sent to email' });
+        res.json(FORGOT_PASSWORD_RESPONSE);
     } catch (err) {
         console.error(err);
         res.status(500).json({ error: err.message });
@@ -200,20 +361,22 @@ app.post('/forgot-password', async (req, res) => {
 });
 
 // 2.6 RESET PASSWORD
-app.post('/reset-password', async (req, res) => {
+app.post('/reset-password', limiters.resetIp.middleware(), validate(schemas.resetPassword), async (req, res) => {
     const { email, code, newPassword } = req.body;
     try {
-        const user = await User.findOne({
-            email,
-            resetCode: code,
-            resetCodeExpires: { $gt: Date.now() }
-        });
-
+        const user = await claimCodeAttempt({ email }, 'reset', MAX_RESET_ATTEMPTS);
         if (!user) return res.status(400).json({ error: 'Invalid or expired code' });
 
+        if (!verifyCode(code, user.resetCode, user._id, 'reset')) {
+            await burnCodeIfExhausted(user, 'reset', MAX_RESET_ATTEMPTS);
+            return res.status(400).json({ error: 'Invalid or expired code' });
+        }
+
         user.password = newPassword;
         user.resetCode = undefined;
         user.resetCodeExpires = undefined;
+        user.resetAttempts = 0;
+        user.tokenVersion = (user.tokenVersion || 0) + 1; // Sign out other sessions
         // User model pre-save hook handles hashing
         await user.save();
 
@@ -224,9 +387,11 @@ app.post('/reset-password', async (req, res) => {
 });
 
 // 3. GET HABITS (Sync)
-app.get('/habits', async (req, res) => {
-    const { userId } = req.query;
+app.get('/habits', requireAuth, async (req, res) => {
+    const userId = req.user._id;
     try {
+        await resolveHellWeekIfEnded(req.user);
+
         // Only show visible habits
         const visibleHabits = await Habit.find({
             userId,
@@ -234,215 +399,246 @@ app.get('/habits', async (req, res) => {
             battleStatus: { $ne: 'completed' } // Hide completed battles from Home
         });
 
-        // Recalculate streaks dynamically to ensure accuracy
-        const checkedHabits = await Promise.all(visibleHabits.map(async (h) => {
-            const realStreak = calculateStreak(h.completedDates);
-
-            // If DB value is stale, update it
-            if (h.currentStreak !== realStreak) {
-                h.currentStreak = realStreak;
-                await h.save();
-            }
-            return h;
-        }));
+        // Recalculate streaks and apply due rep increments to ensure accuracy
+        await reconcileHabits(visibleHabits, req.user.timezone);
+        await refreshUserStreak(userId);
 
-        res.json(checkedHabits);
+        res.json(visibleHabits);
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// 4. CREATE HABIT (Updated for Social)
-app.post('/habits', async (req, res) => {
+// Who the user may invite to a battle. Returns { status, error } or null.
+const checkBattleInvitees = async (user, inviteeIds, quorum) => {
+    // Battle invites are a social feature
+    if (user.emailVerified === false) {
+        return { status: 403, error: 'Verify your email to use social features', code: 'EMAIL_NOT_VERIFIED' };
+    }
+    if (inviteeIds.length === 0) return { status: 400, error: 'No one to battle' };
+    if (inviteeIds.includes(user.id)) return { status: 400, error: 'You cannot battle yourself' };
+    if (inviteeIds.length > MAX_BATTLE_INVITEES) {
+        return { status: 400, error: `A battle can have at most ${MAX_BATTLE_INVITEES} invitees` };
+    }
+    if (quorum > inviteeIds.length) return { status: 400, error: 'Quorum cannot exceed the number of invitees' };
+
+    // Blocks work both ways and look like a missing user
+    const partners = await User.find({ _id: { $in: inviteeIds } }, 'blockedUsers');
+    if (partners.length < inviteeIds.length || partners.some(p => isBlockedBetween(user, p))) {
+        return { status: 404, error: 'User not found' };
+    }
+    return null;
+};
+
+// 4. CREATE HABIT (solo, or a battle: partnerId for one-on-one, partnerIds for a group)
+app.post('/habits', requireAuth, validate(schemas.createHabit), async (req, res) => {
     try {
-        const { partnerId, battleDuration, ...habitData } = req.body;
+        const { partnerId, partnerIds = [], quorum, battleDuration, ...habitData } = req.body; // Whitelisted by schemas.createHabit
+        const inviteeIds = [...new Set(partnerId ? [partnerId, ...partnerIds] : partnerIds)];
 
-        let sharedGroupId = null;
-        if (partnerId) {
-            sharedGroupId = new mongoose.Types.ObjectId().toString();
+        if (inviteeIds.length === 0) {
+            const habit = new Habit({ ...habitData, userId: req.user._id }); // Always the authenticated creator
+            await habit.save();
+            return res.status(201).json(habit);
         }
 
-        // Create Main Habit (Creator)
-        const habit = new Habit({
-            ...habitData,
-            partnerId: partnerId || null,
-            sharedGroupId,
-            type: partnerId ? 'battle' : 'solo',
-            battleStatus: partnerId ? 'waiting' : 'active',
-            isVisible: partnerId ? false : true, // Hide until accepted
-            battleDuration: battleDuration || 7
-        });
-        await habit.save();
-
-        // If Partner exists, send Battle Invite (Hidden initially)
-        if (partnerId) {
-            const partnerHabit = new Habit({
-                ...habitData,
-                userId: partnerId,
-                partnerId: habitData.userId, // The creator becomes the partner
-                sharedGroupId,
-                type: 'battle',
-                battleStatus: 'pending', // Waiting for acceptance
-                isVisible: false, // Hidden until accepted
-                battleDuration: battleDuration || 7
-            });
-            await partnerHabit.save();
-        }
+        const inviteError = await checkBattleInvitees(req.user, inviteeIds, quorum);
+        if (inviteError) return res.status(inviteError.status).json({ error: inviteError.error, code: inviteError.code });
 
+        // Every invitee gets a hidden copy; the battle starts once the quorum accepts
+        const habit = await createBattle(req.user._id, habitData, inviteeIds, { quorum, battleDuration });
         res.status(201).json(habit);
     } catch (err) {
         res.status(400).json({ error: err.message });
     }
 });
 
+// Habits the server judges (active battles, Hell Week snapshots) only take changes for recent days,
+// so missed days can't be backfilled right before the verdict
+const COMPETITIVE_BACKFILL_DAYS = 1; // today and yesterday
+
+const isCompetitiveHabit = (habit, user) =>
+    (habit.type === 'battle' && habit.battleStatus === 'active') ||
+    Boolean(user.hellWeek?.isActive && user.hellWeek.habits.some(id => id.equals(habit._id)));
+
+// Dates are the user's local calendar days (format checked by the schema); no completing days that haven't started yet
+const checkCompletionDate = (date, user, habit) => {
+    const today = toLocalDateString(new Date(), user.timezone);
+    if (date > today) return 'Cannot complete a future date';
+    if (date < addDays(today, -COMPETITIVE_BACKFILL_DAYS) && isCompetitiveHabit(habit, user)) {
+        return 'Battle and Hell Week habits can only be changed for today and yesterday';
+    }
+    return null;
+};
+
+// 4.1 IMPORT HABITS (json | csv | loop). dryRun returns a preview without writing.
+// Imported history never grants XP.
+app.post(IMPORT_PATH, requireAuth, importJsonBody, validate(schemas.importHabits), async (req, res) => {
+    const { format, data, dryRun } = req.body;
+    try {
+        const result = await importHabits(req.user, { format, data, dryRun });
+        if (!result.valid) return res.status(400).json({ error: 'Import has errors', ...result });
+
+        res.status(result.dryRun ? 200 : 201).json(result);
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
 // 5. TOGGLE HABIT DATE
-app.post('/habits/:id/toggle', async (req, res) => {
+app.post('/habits/:id/toggle', requireAuth, validate(schemas.toggleHabit), authorizeHabit(ownsHabit), async (req, res) => {
     const { date } = req.body; // YYYY-MM-DD
-    const { id } = req.params;
-    const UNDO_WINDOW_MS = 60 * 1000; // 60 seconds undo window
 
     try {
-        const habit = await Habit.findById(id);
-        if (!habit) return res.status(404).json({ error: 'Not found' });
+        const dateError = checkCompletionDate(date, req.user, req.habit);
+        if (dateError) return res.status(400).json({ error: dateError });
 
-        // Initialize xpGrantedDates if not exists (for backward compatibility)
-        if (!habit.xpGrantedDates) {
-            habit.xpGrantedDates = [];
-        }
+        const habit = req.habit;
+        const user = req.user; // Owner is the authenticated user
+        await toggleCompletion(habit, user, date);
 
-        const existsIndex = habit.completedDates.indexOf(date);
-        const xpGrantEntry = habit.xpGrantedDates.find(entry =>
-            typeof entry === 'object' ? entry.date === date : entry === date
-        );
-        let xpChange = 0;
-
-        if (existsIndex > -1) {
-            // Unchecking - remove from completed dates
-            habit.completedDates.splice(existsIndex, 1);
-
-            // Check if within undo window (60 seconds)
-            if (xpGrantEntry) {
-                const grantedAt = xpGrantEntry.grantedAt ? new Date(xpGrantEntry.grantedAt) : null;
-                const now = new Date();
-
-                if (grantedAt && (now - grantedAt) < UNDO_WINDOW_MS) {
-                    // Within undo window - refund XP
-                    xpChange = -15;
-                    // Remove from xpGrantedDates
-                    habit.xpGrantedDates = habit.xpGrantedDates.filter(entry =>
-                        typeof entry === 'object' ? entry.date !== date : entry !== date
-                    );
-                }
-                // If outside undo window, no XP change (keeps the XP but removes completion)
-            }
-        } else {
-            // Checking - add to completed dates
-            habit.completedDates.push(date);
-
-            // Only grant XP if this date hasn't been granted before
-            if (!xpGrantEntry) {
-                xpChange = 15;
-                habit.xpGrantedDates.push({ date, grantedAt: new Date() });
-            }
-        }
-
-        habit.completedDates.sort();
-        // Recalculate streak using robust logic
-        habit.currentStreak = calculateStreak(habit.completedDates);
+        res.json({ habit, userLv: user.level, userXp: user.platformXp });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        await habit.save();
+// 5.1 LOG QUANTITY (rep-based habits)
+app.post('/habits/:id/log', requireAuth, validate(schemas.logQuantity), authorizeHabit(ownsHabit), async (req, res) => {
+    const { date, quantity, mode } = req.body; // mode: 'set' (default) | 'add' (negative adjusts down)
 
-        // Update User XP
-        const user = await User.findById(habit.userId);
-        if (user && xpChange !== 0) {
-            // Hell Week Multiplier
-            if (user.hellWeek?.isActive) {
-                xpChange = xpChange > 0 ? (xpChange + 20) : (xpChange - 20);
-            }
+    try {
+        const dateError = checkCompletionDate(date, req.user, req.habit);
+        if (dateError) return res.status(400).json({ error: dateError });
 
-            user.platformXp = Math.max(0, (user.platformXp || 0) + xpChange);
-            user.level = Math.max(user.level || 1, calculateLevel(user.platformXp));
+        const habit = req.habit;
+        if (!habit.isRepBased) return res.status(400).json({ error: 'Quantities can only be logged for rep-based habits' });
 
-            await user.save();
+        if (mode !== 'add' && quantity < 0) {
+            return res.status(400).json({ error: 'Quantity must be a non-negative number' });
         }
 
-        res.json({ habit, userLv: user?.level, userXp: user?.platformXp });
+        const user = req.user;
+        await logQuantity(habit, user, date, quantity, { mode: mode || 'set' });
+
+        res.json({
+            habit,
+            log: habit.completionLog.find(e => e.date === date) || null,
+            completed: habit.completedDates.includes(date),
+            userLv: user.level,
+            userXp: user.platformXp
+        });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
 // 8. HELL WEEK ACTIONS
-app.post('/user/:userId/hell-week', async (req, res) => {
-    const { action } = req.body; // 'start' or 'surrender'
-    const { userId } = req.params;
+app.post('/user/:userId/hell-week', requireAuth, validate(schemas.hellWeek), requireSelf('userId'), async (req, res) => {
+    const { action } = req.body; // 'start' or 'surrender' (the server decides complete/fail)
 
     try {
-        const user = await User.findById(userId);
-        if (!user) return res.status(404).json({ error: 'User not found' });
+        const user = req.user;
+        // A week that already ended is settled before anything else
+        await resolveHellWeekIfEnded(user);
 
         if (action === 'start') {
             if (user.hellWeek.isActive) return res.status(400).json({ error: 'Already in hell' });
-            if ((user.level || 1) < 4) return res.status(400).json({ error: 'Hell Week requires Level 4' });
+            if ((user.level || 1) < HELL_WEEK_MIN_LEVEL) return res.status(400).json({ error: 'Hell Week requires Level 4' });
 
-            user.hellWeek = {
-                isActive: true,
-                startDate: new Date(),
-                targetDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days later
-            };
-            await user.save();
-            res.json({ message: 'Welcome to Hell.', hellWeek: user.hellWeek });
-        } else if (action === 'surrender') {
-            // Early exit - biggest penalty
-            user.hellWeek = { isActive: false };
-            user.platformXp = Math.max(0, user.platformXp - 700);
-            await user.save();
-            res.json({ message: 'You gave up early. Coward.', user });
-        } else if (action === 'fail') {
-            // Completed 7 days but didn't do all habits - medium penalty
-            user.hellWeek = { isActive: false };
-            user.platformXp = Math.max(0, user.platformXp - 500);
-            await user.save();
-            res.json({ message: 'You survived but failed. Shame.', user });
-        } else if (action === 'complete') {
-            // Successfully completed all habits for 7 days - big reward
-            user.hellWeek = { isActive: false };
-            user.platformXp = (user.platformXp || 0) + 1000;
-            user.level = Math.max(user.level || 1, calculateLevel(user.platformXp));
-            await user.save();
-            res.json({ message: 'You conquered Hell. Legendary.', user });
+            const hellWeek = await startHellWeek(user);
+            if (!hellWeek) return res.status(400).json({ error: 'Hell Week needs at least one habit' });
+            res.json({ message: 'Welcome to Hell.', hellWeek });
+        } else {
+            if (!user.hellWeek.isActive) return res.status(400).json({ error: 'Not in Hell Week' });
+
+            await surrenderHellWeek(user);
+            res.json({ message: 'You gave up early. Coward.', user: user.toPrivateJSON() });
         }
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
+// What a battle is judged on. Every copy starts with the same values, so changing your own
+// (a lower rep target, a lighter schedule) is off limits until the battle is over.
+const BATTLE_LOCKED_FIELDS = ['rules', 'schedule', 'isRepBased', 'reps', 'repUnit', 'repIncrement', 'repIncrementFrequency'];
+const BATTLE_LOCKED_STATUSES = ['pending', 'accepted', 'waiting', 'active'];
+
+// Locked fields the update would change (clients may resend unchanged values)
+const changedBattleFields = (habit, body) => {
+    if (habit.type !== 'battle' || !BATTLE_LOCKED_STATUSES.includes(habit.battleStatus)) return [];
+    return BATTLE_LOCKED_FIELDS.filter(field => {
+        if (body[field] === undefined) return false;
+        if (field === 'schedule') {
+            return JSON.stringify(normalizeSchedule(body.schedule)) !== JSON.stringify(normalizeSchedule(habit.schedule));
+        }
+        return body[field] !== habit[field];
+    });
+};
+
 // 6. UPDATE HABIT
-app.put('/habits/:id', async (req, res) => {
+app.put('/habits/:id', requireAuth, validate(schemas.updateHabit), authorizeHabit(ownsHabit), async (req, res) => {
     try {
-        const habit = await Habit.findByIdAndUpdate(req.params.id, req.body, { new: true });
+        const locked = changedBattleFields(req.habit, req.body);
+        if (locked.length > 0) {
+            return res.status(409).json({ error: `Can't change ${locked.join(', ')} while the battle is on` });
+        }
+
+        const update = { ...req.body }; // Whitelisted by schemas.updateHabit
+        // Manual target edits go into the rep history
+        if (update.reps !== undefined && update.reps !== req.habit.reps) {
+            update.$push = {
+                repHistory: { reps: update.reps, previousReps: req.habit.reps, reason: 'manual', changedAt: new Date() }
+            };
+        }
+
+        const habit = await Habit.findByIdAndUpdate(req.habit._id, update, { new: true, runValidators: true });
         res.json(habit);
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
+// Battle copies that are still in play can't just disappear: that would skip the surrender
+// penalty and hand the remaining players a free win. Each state has its own way out.
+const BATTLE_DELETE_CONFLICTS = {
+    pending: 'Decline the battle invite instead (POST /battles/respond)',
+    accepted: 'Leave the battle instead (POST /battles/surrender); before it starts that costs nothing',
+    waiting: 'Cancel the battle instead (POST /battles/cancel)',
+    active: 'Surrender the battle instead (POST /battles/surrender)'
+};
+
 // 7. DELETE HABIT
-app.delete('/habits/:id', async (req, res) => {
+app.delete('/habits/:id', requireAuth, authorizeHabit(ownsHabit), async (req, res) => {
     try {
-        await Habit.findByIdAndDelete(req.params.id);
+        const conflict = req.habit.type === 'battle' && BATTLE_DELETE_CONFLICTS[req.habit.battleStatus];
+        if (conflict) return res.status(409).json({ error: conflict });
+
+        await Habit.findByIdAndDelete(req.habit._id);
+        await refreshUserStreak(req.user._id);
         res.json({ message: 'Deleted' });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// 14. GET SHARED HABIT GROUP
-app.get('/habits/shared/:groupId', async (req, res) => {
+// 7.1 HABIT STATS (heatmap, rates, weekdays, streak history, rep totals)
+app.get('/habits/:id/stats', requireAuth, validate(schemas.habitStats), authorizeHabit(ownsHabit), async (req, res) => {
     try {
-        const habits = await Habit.find({ sharedGroupId: req.params.groupId })
-            .populate('userId', 'email level monsterType');
-        res.json(habits);
+        res.json(habitStats(req.habit, req.user.timezone, { days: req.query.days }));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 14. GET BATTLE SCOREBOARD (participants only)
+app.get('/habits/shared/:groupId', requireAuth, async (req, res) => {
+    try {
+        await resolveBattleIfExpired(req.params.groupId);
+        const scoreboard = await getBattleScoreboard(req.params.groupId, req.user._id, User.PUBLIC_SELECT);
+        if (!scoreboard) return res.status(404).json({ error: 'Battle not found' });
+        res.json(scoreboard);
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -451,14 +647,14 @@ app.get('/habits/shared/:groupId', async (req, res) => {
 // --- BATTLE ROUTES ---
 
 // Get Pending Battle Requests
-app.get('/battles/requests', async (req, res) => {
-    const { userId } = req.query;
+app.get('/battles/requests', requireAuth, async (req, res) => {
+    const userId = req.user._id;
     try {
         const requests = await Habit.find({
             userId,
             battleStatus: 'pending',
             type: 'battle'
-        }).populate('partnerId', 'email level');
+        }).populate('partnerId', User.PUBLIC_SELECT);
         res.json(requests);
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -466,36 +662,24 @@ app.get('/battles/requests', async (req, res) => {
 });
 
 // Get Sent Battle Requests (waiting for acceptance)
-app.get('/battles/sent', async (req, res) => {
-    const { userId } = req.query;
+app.get('/battles/sent', requireAuth, async (req, res) => {
+    const userId = req.user._id;
     try {
         const sent = await Habit.find({
             userId,
             battleStatus: 'waiting',
             type: 'battle'
-        }).populate('partnerId', 'email level');
+        }).populate('partnerId', User.PUBLIC_SELECT);
         res.json(sent);
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// Cancel Sent Battle Request
-app.post('/battles/cancel', async (req, res) => {
-    const { habitId } = req.body;
+// Cancel Sent Battle Request (removes every participant's copy)
+app.post('/battles/cancel', requireAuth, validate(schemas.battleAction), authorizeHabit(canCancelBattle, habitFromBody), async (req, res) => {
     try {
-        const myHabit = await Habit.findById(habitId);
-        if (!myHabit) return res.status(404).json({ error: 'Battle not found' });
-
-        // Delete partner's pending habit
-        await Habit.deleteOne({
-            sharedGroupId: myHabit.sharedGroupId,
-            _id: { $ne: myHabit._id }
-        });
-
-        // Delete my waiting habit
-        await Habit.findByIdAndDelete(habitId);
-
+        await cancelBattle(req.habit);
         res.json({ message: 'Battle request cancelled' });
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -503,44 +687,19 @@ app.post('/battles/cancel', async (req, res) => {
 });
 
 // Respond to Battle Request
-app.post('/battles/respond', async (req, res) => {
-    const { habitId, action } = req.body; // action: 'accept' | 'reject'
+app.post('/battles/respond', requireAuth, requireVerifiedEmail, validate(schemas.respondToBattle), authorizeHabit(canRespondToBattle, habitFromBody), async (req, res) => {
+    const { action } = req.body; // action: 'accept' | 'reject'
     try {
-        const myHabit = await Habit.findById(habitId);
-        if (!myHabit) return res.status(404).json({ error: 'Battle not found' });
-
-        const opponentHabit = await Habit.findOne({
-            sharedGroupId: myHabit.sharedGroupId,
-            _id: { $ne: myHabit._id }
-        });
+        const myHabit = req.habit;
 
         if (action === 'accept') {
-            const startDate = new Date();
-            // Activate mine
-            myHabit.battleStatus = 'active';
-            myHabit.isVisible = true;
-            myHabit.battleStartDate = startDate;
-
-            // Activate opponent
-            if (opponentHabit) {
-                opponentHabit.battleStatus = 'active';
-                opponentHabit.isVisible = true; // Show in Home screen
-                opponentHabit.battleStartDate = startDate; // Sync start time
-                await opponentHabit.save();
-            }
-
-            await myHabit.save();
-            res.json({ message: 'Battle Accepted!', habit: myHabit });
-
-        } else if (action === 'reject') {
-            // Delete mine
-            await Habit.findByIdAndDelete(habitId);
-
-            // Notify opponent (set to rejected)
-            if (opponentHabit) {
-                opponentHabit.battleStatus = 'rejected';
-                await opponentHabit.save();
-            }
+            // Starts everyone's copy once enough invitees have accepted
+            const started = await acceptBattleInvite(myHabit);
+            const habit = started ? await Habit.findById(myHabit._id) : myHabit;
+            res.json({ message: started ? 'Battle Accepted!' : 'Battle Accepted! Waiting for the others.', habit, started });
+        } else {
+            // Calls the battle off if the quorum can no longer be reached
+            await declineBattleInvite(myHabit);
             res.json({ message: 'Battle Rejected' });
         }
     } catch (err) {
@@ -549,70 +708,66 @@ app.post('/battles/respond', async (req, res) => {
 });
 
 // Surrender Battle
-app.post('/battles/surrender', async (req, res) => {
-    const { habitId } = req.body;
+app.post('/battles/surrender', requireAuth, validate(schemas.battleAction), authorizeHabit(ownsHabit, habitFromBody), async (req, res) => {
     try {
-        const myHabit = await Habit.findById(habitId);
-        if (!myHabit) return res.status(404).json({ error: 'Habit not found' });
+        const myHabit = req.habit;
+        if (myHabit.battleStatus === 'accepted') {
+            // Not started yet: back out without the surrender penalty (may call the battle off)
+            await withdrawFromBattle(myHabit);
+            return res.json({ message: 'You left the battle before it started.', habit: null, user: req.user.toPrivateJSON() });
+        }
+        if (myHabit.battleStatus !== 'active') return res.status(400).json({ error: 'Battle is not active' });
 
-        const opponentHabit = await Habit.findOne({
-            sharedGroupId: myHabit.sharedGroupId,
-            _id: { $ne: myHabit._id }
-        });
+        // Current user drops out; with one rival left, that rival wins
+        const winner = await withdrawFromBattle(myHabit);
 
-        // Current user surrenders, so myHabit loses and opponent wins
-        myHabit.battleStatus = 'completed';
-        myHabit.battleWinner = myHabit.partnerId; // Partner wins
+        const user = req.user;
+        await applyXp(user, -100, 'battle_surrendered', { habitId: myHabit._id, sharedGroupId: myHabit.sharedGroupId });
 
-        if (opponentHabit) {
-            opponentHabit.battleStatus = 'completed';
-            opponentHabit.battleWinner = myHabit.partnerId; // Opponent is the winner
-            await opponentHabit.save();
-        }
+        res.json({
+            message: winner ? 'You surrendered. Rival wins.' : 'You surrendered. The battle goes on without you.',
+            habit: myHabit,
+            user: user.toPrivateJSON()
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        await myHabit.save();
+// Rematch: invites everyone from a finished battle again with the same name, rules and duration
+app.post('/battles/rematch', requireAuth, validate(schemas.rematch), async (req, res) => {
+    try {
+        const previous = await findRematch(req.body.sharedGroupId, req.user._id);
+        if (!previous) return res.status(404).json({ error: 'Finished battle not found' });
 
-        const user = await User.findById(myHabit.userId);
-        if (user) {
-            user.platformXp = Math.max(0, (user.platformXp || 0) - 100);
-            await user.save();
-        }
+        const { habit, opponentIds } = previous;
+        const quorum = Math.min(habit.battleQuorum || 1, opponentIds.length) || undefined;
+        const inviteError = await checkBattleInvitees(req.user, opponentIds, quorum);
+        if (inviteError) return res.status(inviteError.status).json({ error: inviteError.error, code: inviteError.code });
 
-        res.json({ message: 'You surrendered. Rival wins.', habit: myHabit, user });
+        const rematch = await createBattle(req.user._id, rematchHabitData(habit), opponentIds, {
+            quorum,
+            battleDuration: habit.battleDuration
+        });
+        res.status(201).json(rematch);
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
 // Get Battles (Active & Past)
-app.get('/battles', async (req, res) => {
-    const { userId } = req.query;
-    try {
-        // 1. Check for expired active battles
-        const activeBattles = await Habit.find({ userId, type: 'battle', battleStatus: 'active' });
-        const now = new Date();
-
-        for (const battle of activeBattles) {
-            if (battle.battleStartDate) {
-                const endDate = new Date(battle.battleStartDate);
-                endDate.setDate(endDate.getDate() + battle.battleDuration);
-
-                // If expired
-                if (now > endDate) {
-                    battle.battleStatus = 'completed';
-                    // Determine Winner logic could go here, but for now just mark completed
-                    // We can calc results on the fly or save them
-                    await battle.save();
-                }
-            }
-        }
+app.get('/battles', requireAuth, async (req, res) => {
+    const userId = req.user._id;
+    try {
+        // 1. Settle expired battles (scores both copies and pays out XP once)
+        await resolveExpiredBattlesForUser(userId);
 
         // 2. Fetch all battles (active and completed)
         const battles = await Habit.find({
             userId,
             type: 'battle',
             battleStatus: { $in: ['active', 'completed'] }
-        }).populate('partnerId', 'email level');
+        }).populate('partnerId', User.PUBLIC_SELECT);
 
         res.json(battles);
     } catch (err) {
@@ -623,22 +778,35 @@ app.get('/battles', async (req, res) => {
 // --- SOCIAL ROUTES ---
 
 // 10. SEND FRIEND REQUEST
-app.post('/social/add-friend', async (req, res) => {
-    const { userId, friendCode } = req.body;
+app.post('/social/add-friend', requireAuth, requireVerifiedEmail, validate(schemas.addFriend), async (req, res) => {
+    const { friendCode } = req.body;
+    const userId = req.user.id;
 
     try {
-        const sender = await User.findById(userId);
-        const target = await User.findOne({ friendCode: friendCode?.toUpperCase() });
+        const sender = req.user;
+        const target = await User.findOne({ friendCode: friendCode.toUpperCase() });
 
-        if (!target) return res.status(404).json({ error: 'User not found with this code.' });
+        // Being blocked looks the same as a wrong code
+        if (!target || target.blockedUsers.some(id => id.equals(sender._id))) {
+            return res.status(404).json({ error: 'User not found with this code.' });
+        }
         if (sender.id === target.id) return res.status(400).json({ error: 'You cannot add yourself.' });
+        if (isBlockedBetween(sender, target)) return res.status(400).json({ error: 'Unblock this user first.' });
         if (sender.friends.includes(target.id)) return res.status(400).json({ error: 'Already friends.' });
 
-        // Check pending
+        // Check pending, or rejected and still cooling down
         const existingReq = target.friendRequests.find(r => r.from.toString() === userId);
-        if (existingReq) return res.status(400).json({ error: 'Request already sent.' });
+        if (existingReq?.status === 'pending') return res.status(400).json({ error: 'Request already sent.' });
 
-        target.friendRequests.push({ from: userId, status: 'pending' });
+        const retryAt = requestCooldownEnds(existingReq);
+        if (retryAt) return res.status(429).json({ error: 'Request was declined. Try again later.', retryAt });
+
+        if (existingReq) {
+            existingReq.status = 'pending';
+            existingReq.timestamp = new Date();
+        } else {
+            target.friendRequests.push({ from: userId, status: 'pending' });
+        }
         await target.save();
 
         res.json({ message: 'Friend request sent!' });
@@ -648,22 +816,31 @@ app.post('/social/add-friend', async (req, res) => {
 });
 
 // 11. HANDLE FRIEND REQUEST
-app.post('/social/handle-request', async (req, res) => {
-    const { userId, requesterId, action } = req.body; // action: 'accept' | 'reject'
+app.post('/social/handle-request', requireAuth, requireVerifiedEmail, validate(schemas.handleFriendRequest), async (req, res) => {
+    const { requesterId, action } = req.body; // action: 'accept' | 'reject'
+    const userId = req.user.id;
 
     try {
-        const user = await User.findById(userId);
-        const requester = await User.findById(requesterId);
-
-        if (!user || !requester) return res.status(404).json({ error: 'User not found' });
+        const user = req.user;
+        const request = user.friendRequests.find(r => r.from.toString() === requesterId && r.status === 'pending');
+        if (!request) return res.status(404).json({ error: 'Friend request not found' });
 
-        // Remove request
-        user.friendRequests = user.friendRequests.filter(r => r.from.toString() !== requesterId);
+        const requester = await User.findById(requesterId);
+        if (!requester) {
+            user.friendRequests.pull(request._id);
+            await user.save();
+            return res.status(404).json({ error: 'User not found' });
+        }
 
         if (action === 'accept') {
+            user.friendRequests.pull(request._id);
             if (!user.friends.includes(requesterId)) user.friends.push(requesterId);
             if (!requester.friends.includes(userId)) requester.friends.push(userId);
             await requester.save();
+        } else {
+            // Kept as rejected so the requester has to wait before asking again
+            request.status = 'rejected';
+            request.timestamp = new Date();
         }
 
         await user.save();
@@ -673,50 +850,116 @@ app.post('/social/handle-request', async (req, res) => {
     }
 });
 
+// 11.1 GET SENT FRIEND REQUESTS (still pending)
+app.get('/social/requests/sent', requireAuth, async (req, res) => {
+    try {
+        res.json(await listSentRequests(req.user._id));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 11.2 CANCEL SENT FRIEND REQUEST
+app.post('/social/cancel-request', requireAuth, validate(schemas.cancelFriendRequest), async (req, res) => {
+    try {
+        const cancelled = await cancelSentRequest(req.user._id, req.body.userId);
+        if (!cancelled) return res.status(404).json({ error: 'Friend request not found' });
+        res.json({ message: 'Friend request cancelled' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 11.3 REMOVE FRIEND (both sides)
+app.post('/social/remove-friend', requireAuth, validate(schemas.removeFriend), async (req, res) => {
+    try {
+        const user = req.user;
+        const removed = await removeFriendship(user, req.body.friendId);
+        if (!removed) return res.status(404).json({ error: 'Not friends' });
+        res.json({ message: 'Friend removed', friends: user.friends });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 11.4 BLOCK USER (also unfriends and cancels pending requests and battle invites)
+app.post('/social/block', requireAuth, validate(schemas.blockUser), async (req, res) => {
+    const { userId } = req.body;
+    try {
+        const user = req.user;
+        if (userId === user.id) return res.status(400).json({ error: 'You cannot block yourself.' });
+        if (!(await User.exists({ _id: userId }))) return res.status(404).json({ error: 'User not found' });
+
+        await blockUser(user, userId);
+        res.json({ message: 'User blocked', blockedUsers: user.blockedUsers });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 11.5 UNBLOCK USER
+app.post('/social/unblock', requireAuth, validate(schemas.blockUser), async (req, res) => {
+    try {
+        const user = req.user;
+        const unblocked = await unblockUser(user, req.body.userId);
+        if (!unblocked) return res.status(404).json({ error: 'User is not blocked' });
+        res.json({ message: 'User unblocked', blockedUsers: user.blockedUsers });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 11.6 GET BLOCKED USERS
+app.get('/social/blocked', requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).populate('blockedUsers', User.PUBLIC_SELECT);
+        res.json(user.blockedUsers.filter(Boolean).map(u => u.toPublicJSON()));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // 12. GET FRIENDS WITH STATS
-app.get('/social/friends', async (req, res) => {
-    const { userId } = req.query;
+app.get('/social/friends', requireAuth, async (req, res) => {
+    const userId = req.user._id;
     try {
-        const user = await User.findById(userId).populate('friends', 'email level platformXp monsterType hellWeek');
+        const user = await User.findById(userId).populate('friends', `${User.PUBLIC_SELECT} timezone`);
         if (!user) return res.status(404).json({ error: 'User not found' });
 
         const friendsData = [];
+        const headToHead = await getHeadToHeadBattles(userId, user.friends.map(f => f._id));
 
         for (const friend of user.friends) {
             // Aggregate Habits Stats
             const habits = await Habit.find({ userId: friend._id });
 
-            let totalPossibleDays = 0;
+            let totalExpected = 0;
             let totalCompletedCount = 0;
             let maxCurrentStreak = 0;
             let totalHabits = habits.length;
 
             habits.forEach(h => {
                 // Use dynamic calculation to be accurate
-                const current = calculateStreak(h.completedDates);
+                const current = calculateStreak(h.completedDates, friend.timezone, h.schedule);
                 if (current > maxCurrentStreak) maxCurrentStreak = current;
 
-                const daysExist = Math.max(1, Math.floor((new Date() - new Date(h.createdAt)) / (1000 * 60 * 60 * 24)));
-                const completedLen = h.completedDates?.length || 0;
-
-                totalPossibleDays += daysExist;
-                totalCompletedCount += Math.min(completedLen, daysExist); // Cap at max possible
+                // Only scheduled days count as possible (rest days don't hurt the rate)
+                const { expected, completed } = habitCompletionStats(h, friend.timezone);
+                totalExpected += expected;
+                totalCompletedCount += completed;
             });
 
-            const completionRate = totalPossibleDays > 0 ? Math.round((totalCompletedCount / totalPossibleDays) * 100) : 0;
+            const completionRate = totalExpected > 0 ? Math.round((totalCompletedCount / totalExpected) * 100) : 0;
 
             friendsData.push({
-                _id: friend._id,
-                email: friend.email,
-                level: friend.level,
+                ...friend.toPublicJSON(),
                 xp: friend.platformXp,
-                monsterType: friend.monsterType,
-                hellWeek: friend.hellWeek,
                 stats: {
                     totalHabits,
                     currentStreak: maxCurrentStreak,
                     completionRate
-                }
+                },
+                headToHead: summarizeHeadToHead(headToHead.get(friend.id))
             });
         }
 
@@ -726,11 +969,52 @@ app.get('/social/friends', async (req, res) => {
     }
 });
 
+// 12.1 HEAD-TO-HEAD RECORD AGAINST A FRIEND (with every finished battle, oldest first)
+app.get('/social/friends/:friendId/head-to-head', requireAuth, validate(schemas.headToHead), async (req, res) => {
+    const { friendId } = req.params;
+    try {
+        if (!req.user.friends.some(f => f.toString() === friendId)) return res.status(404).json({ error: 'Friend not found' });
+
+        const friend = await User.findById(friendId);
+        if (!friend) return res.status(404).json({ error: 'Friend not found' });
+
+        const battles = (await getHeadToHeadBattles(req.user._id, [friend._id])).get(friend.id);
+        res.json({ friend: friend.toPublicJSON(), record: summarizeHeadToHead(battles), battles });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 12.2 ACTIVITY FEED (friends' events, newest first)
+app.get('/social/feed', requireAuth, validate(schemas.feed), async (req, res) => {
+    const { limit, before } = req.query;
+    try {
+        const events = await getFeed(req.user, { limit, before });
+        res.json({
+            events,
+            // Pass as ?before= to get the next page
+            nextCursor: events.length > 0 ? events[events.length - 1].createdAt : null
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 12.3 LEADERBOARDS (friends | global) by all-time XP, this week's XP or current streak
+app.get('/leaderboards/:scope', requireAuth, validate(schemas.leaderboard), async (req, res) => {
+    const { metric, limit } = req.query;
+    try {
+        res.json(await getLeaderboard(req.user, { scope: req.params.scope, metric, limit }));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // 13. GET REQUESTS
-app.get('/social/requests', async (req, res) => {
-    const { userId } = req.query;
+app.get('/social/requests', requireAuth, async (req, res) => {
+    const userId = req.user._id;
     try {
-        const user = await User.findById(userId).populate('friendRequests.from', 'email level');
+        const user = await User.findById(userId).populate('friendRequests.from', User.PUBLIC_SELECT);
         if (!user) return res.status(404).json({ error: 'User not found' });
 
         // Filter valid requests (pending) and map to clean object
@@ -738,11 +1022,7 @@ app.get('/social/requests', async (req, res) => {
             .filter(r => r.status === 'pending' && r.from) // Check r.from exists (populated)
             .map(r => ({
                 _id: r._id,
-                from: {
-                    _id: r.from._id,
-                    email: r.from.email,
-                    level: r.from.level
-                },
+                from: r.from.toPublicJSON(),
                 timestamp: r.timestamp
             }));
 
@@ -753,7 +1033,7 @@ app.get('/social/requests', async (req, res) => {
 });
 
 // 9. GET USER DETAILS
-app.get('/user/:id', async (req, res) => {
+app.get('/user/:id', requireAuth, validate(schemas.getUser), async (req, res) => {
     try {
         const user = await User.findById(req.params.id);
         if (!user) return res.status(404).json({ error: 'User not found' });
@@ -763,6 +1043,8 @@ app.get('/user/:id', async (req, res) => {
             await user.save(); // Triggers pre-save hook
         }
 
+        if (user._id.equals(req.user._id)) await resolveHellWeekIfEnded(user);
+
         // Self-healing: Only increase level, never decrease (level is permanent once earned)
         const calculatedLevel = calculateLevel(user.platformXp || 0);
         if (calculatedLevel > (user.level || 1)) {
@@ -771,12 +1053,150 @@ app.get('/user/:id', async (req, res) => {
             await user.save();
         }
 
-        res.json(user);
+        // Owners get the private view, everyone else the friend-visible one
+        res.json(user._id.equals(req.user._id) ? user.toPrivateJSON() : user.toPublicJSON());
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 9.1 GET XP HISTORY (own ledger only)
+app.get('/user/:id/xp-history', requireAuth, validate(schemas.xpHistory), requireSelf('id'), async (req, res) => {
+    const { limit, before, beforeId } = req.query;
+    try {
+        const transactions = await getXpHistory(req.user._id, { limit, before, beforeId });
+        const last = transactions[transactions.length - 1];
+        res.json({
+            transactions,
+            // Pass as ?before=&beforeId= to get the next page
+            nextCursor: last ? last.createdAt : null,
+            nextCursorId: last ? last._id : null
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 9.2 GET USER STATS (self or friends)
+app.get('/user/:id/stats', requireAuth, validate(schemas.userStats), requireSelfOrFriend('id'), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        const habits = await Habit.find({ userId: user._id, isVisible: { $ne: false } });
+        const hideHabitNames = !user._id.equals(req.user._id) && user.privacy?.showHabitNames === false;
+        res.json(userStats(habits, user.timezone, { days: req.query.days, hideHabitNames }));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 9.3 EXPORT MY DATA (JSON bundle)
+app.get('/user/:id/export', requireAuth, requireSelf('id'), async (req, res) => {
+    try {
+        const bundle = await buildExportBundle(req.user);
+        res.attachment('monster-export.json');
+        res.json(bundle);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 9.4 EXPORT COMPLETIONS AS CSV (?habitId= for a single habit's table)
+app.get('/user/:id/export/csv', requireAuth, validate(schemas.exportCsv), requireSelf('id'), async (req, res) => {
+    const { habitId } = req.query;
+    try {
+        if (habitId) {
+            const habit = await Habit.findOne({ _id: habitId, userId: req.user._id });
+            if (!habit) return res.status(404).json({ error: 'Habit not found' });
+
+            res.attachment(`monster-habit-${habit._id}.csv`);
+            return res.type('text/csv').send(habitToCsv(habit));
+        }
+
+        const habits = await Habit.find({ userId: req.user._id }).sort({ createdAt: 1 });
+        res.attachment('monster-completions.csv');
+        res.type('text/csv').send(habitsToCsv(habits));
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
+// 9.5 EXPORT COMPLETIONS AS ICALENDAR
+app.get('/user/:id/export/ics', requireAuth, requireSelf('id'), async (req, res) => {
+    try {
+        const habits = await Habit.find({ userId: req.user._id }).sort({ createdAt: 1 });
+        res.attachment('monster-completions.ics');
+        res.type('text/calendar').send(habitsToIcs(habits));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// --- JOB ROUTES (secret-protected; see services/jobs.js) ---
+
+// 15. RUN DUE JOBS (Vercel cron calls this with GET)
+app.get('/jobs/tick', requireCronSecret, async (req, res) => {
+    try {
+        res.json(await runDueJobs({ trigger: 'cron' }));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 15.1 RUN ONE JOB NOW
+app.post('/jobs/:name/run', requireCronSecret, validate(schemas.runJob), async (req, res) => {
+    try {
+        const run = await runJob(req.params.name, { trigger: 'manual' });
+        if (!run) return res.status(409).json({ error: 'Job is already running' });
+        res.json(run);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 15.2 JOB RUN LOG (newest first)
+app.get('/jobs/runs', requireCronSecret, validate(schemas.jobRuns), async (req, res) => {
+    try {
+        res.json(await getJobRuns(req.query));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// --- EMAIL ROUTES ---
+
+// Unsubscribe links carry a signed token, so neither route needs a login (the link comes from the email)
+const INVALID_UNSUBSCRIBE_LINK = 'This unsubscribe link is invalid.';
+
+// 16. UNSUBSCRIBE CONFIRMATION PAGE (the link in the email). Read-only: the page's button POSTs.
+app.get('/email/unsubscribe', validate(schemas.unsubscribe), (req, res) => {
+    const target = verifyUnsubscribeToken(req.query.token);
+    if (!target) return res.status(400).type('html').send(unsubscribedPageHtml(INVALID_UNSUBSCRIBE_LINK));
+
+    const action = `?token=${encodeURIComponent(req.query.token)}`; // Same path, so it works behind any prefix
+    res.type('html').send(unsubscribeConfirmPageHtml({ label: EMAIL_LISTS[target.list].label, action }));
+});
+
+// 16.1 UNSUBSCRIBE: the confirmation page's form, and mail clients' one-click List-Unsubscribe POST (RFC 8058)
+app.post('/email/unsubscribe', validate(schemas.unsubscribe), async (req, res) => {
+    try {
+        const target = verifyUnsubscribeToken(req.query.token);
+        if (!target) return res.status(400).type('html').send(unsubscribedPageHtml(INVALID_UNSUBSCRIBE_LINK));
+
+        const { setting, label } = EMAIL_LISTS[target.list];
+        await User.updateOne({ _id: target.userId }, { $set: { [setting]: false } });
+        res.type('html').send(unsubscribedPageHtml(`You won't get ${label} emails anymore. You can turn them back on in the app settings.`));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Malformed or oversized JSON bodies get the validators' JSON error shape
+app.use(handleBodyErrors);
+
 app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
+    // Serverless deployments rely on cron hitting /jobs/tick; a long-running server schedules its own jobs
+    startScheduler();
 });
@@ -0,0 +1,90 @@
+const Activity = require('../models/Activity');
+const Habit = require('../models/Habit');
+const User = require('../models/User');
+const XpTransaction = require('../models/XpTransaction');
+const { cancelBattle, declineBattleInvite, withdrawFromBattle } = require('./battles');
+
+// --- ACCOUNT DELETION ---
+// Deleting an account starts a grace period; logging in during it restores the account.
+// After it ends the account is purged and every reference to it is cleaned up.
+
+const DELETION_GRACE_DAYS = 7;
+
+// Marks the account for deletion and signs out every session
+const scheduleAccountDeletion = async (user, now = new Date()) => {
+    user.deletion = {
+        requestedAt: now,
+        scheduledFor: new Date(now.getTime() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000)
+    };
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    await user.save();
+    return user.deletion.scheduledFor;
+};
+
+// Returns true if a pending deletion was cancelled
+const cancelAccountDeletion = async (user) => {
+    if (!user.deletion?.scheduledFor) return false;
+    user.deletion = undefined;
+    await user.save();
+    return true;
+};
+
+const isPendingDeletion = (user) => Boolean(user?.deletion?.scheduledFor);
+
+// Settles every battle the user is part of from the partner's side
+const settleBattlesForDeletedUser = async (userId, now) => {
+    const battles = await Habit.find({ userId, type: 'battle', sharedGroupId: { $ne: null } });
+
+    for (const mine of battles) {
+        if (mine.battleStatus === 'active') {
+            // Forfeit, like a surrender (no XP changes hands)
+            await withdrawFromBattle(mine, now);
+        } else if (mine.battleStatus === 'waiting') {
+            // Our invites were never answered: cancel them
+            await cancelBattle(mine);
+        } else if (['pending', 'accepted'].includes(mine.battleStatus)) {
+            // We were invited: treat as a rejection
+            await declineBattleInvite(mine);
+        }
+    }
+};
+
+// Permanently removes the user and cleans up references held by other players
+const purgeAccount = async (userId, now = new Date()) => {
+    await settleBattlesForDeletedUser(userId, now);
+
+    await Habit.deleteMany({ userId });
+    await XpTransaction.deleteMany({ userId });
+    await Activity.deleteMany({ userId });
+
+    await User.updateMany({ friends: userId }, { $pull: { friends: userId } });
+    await User.updateMany({ 'friendRequests.from': userId }, { $pull: { friendRequests: { from: userId } } });
+    await User.updateMany({ blockedUsers: userId }, { $pull: { blockedUsers: userId } });
+
+    // Anonymize what's left: partners' battle history keeps its results (placements, scores)
+    // but loses every link to the purged account
+    await Habit.updateMany({ partnerId: userId }, { $set: { partnerId: null } });
+    await Habit.updateMany({ battleWinner: userId }, { $set: { battleWinner: null } });
+    await Habit.updateMany({ battleCreatorId: userId }, { $set: { battleCreatorId: null } });
+    await Activity.updateMany({ opponentId: userId }, { $unset: { opponentId: 1 } });
+
+    await User.deleteOne({ _id: userId });
+};
+
+// Purges every account whose grace period is over. Returns how many were removed.
+const purgeDueAccounts = async (now = new Date()) => {
+    const due = await User.find({ 'deletion.scheduledFor': { $lte: now } }, '_id');
+    for (const { _id } of due) {
+        await purgeAccount(_id, now);
+    }
+    return due.length;
+};
+
+module.exports = {
+    DELETION_GRACE_DAYS,
+    scheduleAccountDeletion,
+    cancelAccountDeletion,
+    isPendingDeletion,
+    purgeAccount,
+    purgeDueAccounts
+};
@@ -0,0 +1,93 @@
+const Activity = require('../models/Activity');
+const User = require('../models/User');
+
+// --- ACTIVITY FEED ---
+// Events are written by the services that cause them (completions, XP, Hell Week, battles)
+// and read by friends through GET /social/feed.
+
+const STREAK_MILESTONES = [7, 30, 100, 365];
+const FEED_PAGE_SIZE = 30;
+
+// Fields shown for the other player in battle events
+const OPPONENT_SELECT = 'firstName lastName monsterType';
+
+// Highest milestone reached when a streak goes from `previous` to `current`, or null
+const streakMilestone = (previous, current) => (
+    STREAK_MILESTONES.filter(m => previous < m && m <= current).pop() || null
+);
+
+// Records a feed event unless the player has turned sharing off.
+// `dedupe` lists fields that identify the event, making the write idempotent
+// (e.g. one level_up per level). Never throws: the feed must not break the action behind it.
+const recordActivity = async (userOrId, type, fields = {}, { dedupe } = {}) => {
+    try {
+        const user = userOrId instanceof User ? userOrId : await User.findById(userOrId, 'privacy');
+        if (!user || user.privacy?.shareActivity === false) return;
+
+        const doc = { userId: user._id, type, ...fields, createdAt: new Date() };
+        if (!dedupe) {
+            await Activity.create(doc);
+            return;
+        }
+
+        const filter = { userId: user._id, type };
+        for (const key of dedupe) filter[key] = fields[key];
+        await Activity.updateOne(filter, { $setOnInsert: doc }, { upsert: true });
+    } catch (err) {
+        console.error('Failed to record activity:', err.message);
+    }
+};
+
+// Removes a completion's events when the day is unchecked
+const removeCompletionActivity = async (userId, habitId, date) => {
+    try {
+        await Activity.deleteMany({ userId, habitId, date, type: { $in: ['habit_completed', 'streak_milestone'] } });
+    } catch (err) {
+        console.error('Failed to remove activity:', err.message);
+    }
+};
+
+// Friends' events, newest first. `before` is a createdAt cursor from the previous page.
+// Friends who turned sharing off (or blocked the viewer) are left out entirely;
+// habit names are hidden for friends who chose not to show them.
+const getFeed = async (user, { limit = FEED_PAGE_SIZE, before } = {}) => {
+    const friends = await User.find({
+        _id: { $in: user.friends },
+        'privacy.shareActivity': { $ne: false },
+        blockedUsers: { $ne: user._id }
+    }, `${User.PUBLIC_SELECT} privacy`);
+    const byId = new Map(friends.map(f => [f.id, f]));
+
+    const query = { userId: { $in: friends.map(f => f._id) } };
+    if (before) query.createdAt = { $lt: new Date(before) };
+
+    const events = await Activity.find(query)
+        .sort({ createdAt: -1 })
+        .limit(Math.min(Math.max(1, limit), 100))
+        .populate('opponentId', OPPONENT_SELECT);
+
+    return events.map(e => {
+        const friend = byId.get(e.userId.toString());
+        const showHabit = friend.privacy?.showHabitNames !== false;
+        return {
+            _id: e._id,
+            type: e.type,
+            user: friend.toPublicJSON(),
+            habitName: showHabit ? e.habitName : null,
+            date: e.date,
+            streak: e.streak,
+            level: e.level,
+            opponent: e.opponentId || null,
+            createdAt: e.createdAt
+        };
+    });
+};
+
+module.exports = {
+    STREAK_MILESTONES,
+    FEED_PAGE_SIZE,
+    streakMilestone,
+    recordActivity,
+    removeCompletionActivity,
+    getFeed
+};
@@ -0,0 +1,429 @@
+const mongoose = require('mongoose');
+const Habit = require('../models/Habit');
+const { applyXp } = require('./xp');
+const { recordActivity } = require('./activity');
+const { toLocalDateString, addDays, endOfLocalPeriod } = require('../utils/dates');
+const { completionStats } = require('../utils/streak');
+
+// --- BATTLES ---
+// Every participant has their own copy of the habit; copies are linked by sharedGroupId.
+// Copy lifecycle: creator 'waiting', invitees 'pending' -> 'accepted', then everyone
+// 'active' once battleQuorum invitees accepted, and 'completed' when resolved.
+// 'rejected' marks a battle that can no longer reach its quorum.
+
+// XP paid out when a one-on-one battle runs its full duration
+const BATTLE_XP = {
+    win: 200,
+    loss: -50,
+    draw: 50
+};
+
+const BATTLE_XP_REASONS = {
+    win: 'battle_won',
+    loss: 'battle_lost',
+    draw: 'battle_draw'
+};
+
+// Group battles (3+ participants) pay by placement: 1st, 2nd, 3rd. Everyone below loses a little.
+const GROUP_BATTLE_XP = [300, 150, 75];
+const GROUP_BATTLE_LOSS_XP = -25;
+
+const MAX_BATTLE_INVITEES = 9;
+
+// Each player's battle covers battleDuration local days starting on the day it was accepted
+const getBattleWindow = (habit, timezone) => {
+    const startStr = toLocalDateString(habit.battleStartDate, timezone);
+    return {
+        startStr,
+        endStr: addDays(startStr, habit.battleDuration - 1),
+        endsAt: endOfLocalPeriod(habit.battleStartDate, habit.battleDuration, timezone)
+    };
+};
+
+// Scheduled completions inside the player's own battle window
+const scoreBattleHabit = (habit, timezone) => {
+    const { startStr, endStr } = getBattleWindow(habit, timezone);
+    return completionStats(habit.completedDates, habit.schedule, startStr, endStr).completed;
+};
+
+// Sorts by score and sets `placement` on each player (ties share a placement)
+const rankByScore = (players) => {
+    const sorted = [...players].sort((a, b) => b.score - a.score);
+    sorted.forEach((p, i) => {
+        p.placement = i > 0 && sorted[i - 1].score === p.score ? sorted[i - 1].placement : i + 1;
+    });
+    return sorted;
+};
+
+// XP for a final placement. One-on-one battles keep the classic win/loss/draw payout.
+const battlePayout = (placement, tiedAtTop, groupSize) => {
+    if (groupSize <= 2) {
+        let outcome = 'draw';
+        if (!tiedAtTop) outcome = placement === 1 ? 'win' : 'loss';
+        return { amount: BATTLE_XP[outcome], reason: BATTLE_XP_REASONS[outcome] };
+    }
+    if (placement === 1) return { amount: GROUP_BATTLE_XP[0], reason: tiedAtTop ? 'battle_draw' : 'battle_won' };
+    if (placement <= GROUP_BATTLE_XP.length) return { amount: GROUP_BATTLE_XP[placement - 1], reason: 'battle_placed' };
+    return { amount: GROUP_BATTLE_LOSS_XP, reason: 'battle_lost' };
+};
+
+// --- INVITES ---
+
+// Creates the creator's copy and one pending copy per invitee. Returns the creator's copy.
+// Without an explicit quorum a majority of invitees has to accept.
+const createBattle = async (creatorId, habitData, inviteeIds, { quorum, battleDuration = 7 } = {}) => {
+    const sharedGroupId = new mongoose.Types.ObjectId().toString();
+    const { reminderTime, ...sharedData } = habitData; // Reminders are personal; invitees set their own
+    const common = {
+        ...sharedData,
+        sharedGroupId,
+        type: 'battle',
+        isVisible: false, // Hidden until the battle starts
+        battleDuration,
+        battleQuorum: quorum || Math.ceil(inviteeIds.length / 2),
+        battleCreatorId: creatorId
+    };
+
+    const creatorHabit = new Habit({
+        ...common,
+        userId: creatorId,
+        reminderTime,
+        partnerId: inviteeIds.length === 1 ? inviteeIds[0] : null, // One-on-one only
+        battleStatus: 'waiting'
+    });
+    await creatorHabit.save();
+
+    for (const inviteeId of inviteeIds) {
+        await new Habit({
+            ...common,
+            userId: inviteeId,
+            partnerId: creatorId, // Who invited them
+            battleStatus: 'pending'
+        }).save();
+    }
+
+    return creatorHabit;
+};
+
+// Starts the battle for the creator and everyone who accepted; invites still open are withdrawn.
+// The creator's copy acts as the lock, so concurrent accepts start it once.
+const startBattle = async (sharedGroupId, now = new Date()) => {
+    const start = { battleStatus: 'active', isVisible: true, battleStartDate: now };
+    const creator = await Habit.findOneAndUpdate({ sharedGroupId, battleStatus: 'waiting' }, { $set: start });
+    if (!creator) return false;
+
+    await Habit.updateMany({ sharedGroupId, battleStatus: 'accepted' }, { $set: start });
+    await Habit.deleteMany({ sharedGroupId, battleStatus: 'pending' });
+    return true;
+};
+
+// Returns true if this acceptance started the battle
+const acceptBattleInvite = async (habit, now = new Date()) => {
+    habit.battleStatus = 'accepted';
+    await habit.save();
+
+    const accepted = await Habit.countDocuments({ sharedGroupId: habit.sharedGroupId, battleStatus: 'accepted' });
+    if (accepted < (habit.battleQuorum || 1)) return false;
+    return startBattle(habit.sharedGroupId, now);
+};
+
+// Removes the invitee's copy. If the quorum can no longer be reached the battle is called off:
+// open invites are withdrawn and the remaining copies are marked rejected.
+// Returns true if the battle was called off.
+const declineBattleInvite = async (habit) => {
+    const { sharedGroupId } = habit;
+    await Habit.deleteOne({ _id: habit._id });
+
+    const open = await Habit.countDocuments({ sharedGroupId, battleStatus: { $in: ['pending', 'accepted'] } });
+    if (open >= (habit.battleQuorum || 1)) return false;
+
+    await Habit.deleteMany({ sharedGroupId, battleStatus: 'pending' });
+    await Habit.updateMany(
+        { sharedGroupId, battleStatus: { $in: ['waiting', 'accepted'] } },
+        { $set: { battleStatus: 'rejected' } }
+    );
+    return true;
+};
+
+// Creator withdraws a battle that hasn't started: every copy is removed
+const cancelBattle = (habit) => Habit.deleteMany({
+    sharedGroupId: habit.sharedGroupId,
+    battleStatus: { $in: ['waiting', 'pending', 'accepted'] }
+});
+
+// Takes a player out of an active battle (surrender or account deletion). No XP here.
+// The others play on; if only one is left they win on the spot.
+// Returns the winner's copy when that happens.
+// An invitee who accepted a battle that hasn't started yet just backs out, like a late decline.
+const withdrawFromBattle = async (habit, now = new Date()) => {
+    if (habit.battleStatus === 'accepted') {
+        await declineBattleInvite(habit);
+        return null;
+    }
+
+    const { sharedGroupId } = habit;
+    const others = await Habit.find({ sharedGroupId, battleStatus: 'active', _id: { $ne: habit._id } });
+
+    habit.battleStatus = 'completed';
+    habit.battleResolvedAt = now;
+    habit.battlePlacement = others.length + 1; // Behind everyone still in
+
+    let winner = null;
+    if (others.length === 1) {
+        [winner] = others;
+        winner.battleStatus = 'completed';
+        winner.battleWinner = winner.userId;
+        winner.battlePlacement = 1;
+        winner.battleResolvedAt = now;
+        await winner.save();
+        habit.battleWinner = winner.userId;
+    }
+    await habit.save();
+
+    if (winner) {
+        const groupSize = await Habit.countDocuments({ sharedGroupId });
+        await recordActivity(winner.userId, 'battle_won', {
+            habitId: winner._id,
+            habitName: winner.name,
+            sharedGroupId,
+            ...(groupSize <= 2 && { opponentId: habit.userId })
+        }, { dedupe: ['sharedGroupId'] });
+    }
+    return winner;
+};
+
+// --- RESOLUTION ---
+
+// Resolves a battle group once every participant's window has ended.
+// Each copy is settled on its own: one conditional write flips it from active to completed with its
+// result, and only the caller that made that write pays that copy's XP. Concurrent calls, or a call
+// after a crash halfway through, settle the rest without paying anyone twice. Copies settled earlier
+// keep their stored score, so the ranking is the same on every call.
+// Returns true if this call settled at least one copy.
+const resolveBattleIfExpired = async (sharedGroupId, now = new Date()) => {
+    const copies = await Habit.find({
+        sharedGroupId,
+        type: 'battle',
+        $or: [{ battleStatus: 'active' }, { battleSettled: true }]
+    }).populate('userId', 'timezone');
+    if (!copies.some(h => h.battleStatus === 'active') || copies.some(h => !h.battleStartDate)) return false;
+
+    const players = copies.map(habit => ({
+        habit,
+        userId: habit.userId?._id || null, // null if the account no longer exists
+        timezone: habit.userId?.timezone,
+        endsAt: getBattleWindow(habit, habit.userId?.timezone).endsAt
+    }));
+
+    // Wait for the last timezone to finish its final day
+    if (players.some(p => now < p.endsAt)) return false;
+
+    for (const p of players) {
+        p.score = p.habit.battleSettled ? p.habit.battleScore : scoreBattleHabit(p.habit, p.timezone);
+    }
+    rankByScore(players);
+
+    const leaders = players.filter(p => p.placement === 1);
+    const isDraw = leaders.length > 1;
+    const winnerId = isDraw ? null : leaders[0].userId;
+
+    // Counts players who surrendered too, so a group battle keeps its group payout
+    const groupSize = await Habit.countDocuments({ sharedGroupId });
+
+    let settledAny = false;
+    for (const p of players) {
+        if (p.habit.battleSettled) continue;
+        const settled = await Habit.findOneAndUpdate(
+            { _id: p.habit._id, battleStatus: 'active' },
+            {
+                $set: {
+                    battleStatus: 'completed',
+                    battleSettled: true,
+                    battleWinner: winnerId,
+                    battleDraw: isDraw,
+                    battleScore: p.score,
+                    battlePlacement: p.placement,
+                    battleResolvedAt: now
+                }
+            }
+        );
+        if (!settled) continue; // Another call settled (and paid) this copy
+        settledAny = true;
+
+        if (!p.userId) continue;
+        const { amount, reason } = battlePayout(p.placement, isDraw, groupSize);
+        await applyXp(p.userId, amount, reason, {
+            habitId: p.habit._id,
+            sharedGroupId
+        });
+    }
+    if (!settledAny) return false;
+
+    if (winnerId) {
+        const [winner] = leaders;
+        const loser = players.find(p => p !== winner);
+        await recordActivity(winnerId, 'battle_won', {
+            habitId: winner.habit._id,
+            habitName: winner.habit.name,
+            sharedGroupId,
+            ...(groupSize <= 2 && loser?.userId && { opponentId: loser.userId })
+        }, { dedupe: ['sharedGroupId'] });
+    }
+
+    return true;
+};
+
+// Resolve every expired battle the user takes part in
+const resolveExpiredBattlesForUser = async (userId, now = new Date()) => {
+    const groupIds = await Habit.distinct('sharedGroupId', { userId, type: 'battle', battleStatus: 'active' });
+    for (const groupId of groupIds) {
+        await resolveBattleIfExpired(groupId, now);
+    }
+};
+
+// --- SCOREBOARD ---
+
+// Overall state of a battle from its copies
+const battleState = (copies) => {
+    const statuses = copies.map(h => h.battleStatus);
+    if (statuses.includes('active')) return 'active';
+    if (statuses.includes('waiting')) return 'waiting';
+    if (statuses.every(s => s === 'completed')) return 'completed';
+    return 'rejected';
+};
+
+// Every participant with their acceptance, score and placement (scores are live while running).
+// `userSelect` is the projection used for participants. Returns null unless the viewer takes part.
+const getBattleScoreboard = async (sharedGroupId, viewerId, userSelect) => {
+    const copies = await Habit.find({ sharedGroupId, type: 'battle' })
+        .populate('userId', `${userSelect} timezone`);
+    if (!copies.some(h => h.userId?._id.equals(viewerId))) return null;
+
+    const state = battleState(copies);
+    const participants = copies.map(h => {
+        let score = null;
+        if (h.battleStatus === 'active') score = scoreBattleHabit(h, h.userId?.timezone);
+        else if (h.battleStatus === 'completed') score = h.battleScore ?? null;
+
+        return {
+            user: h.userId ? h.userId.toPublicJSON() : null,
+            habitId: h._id,
+            status: h.battleStatus,
+            isCreator: Boolean(h.battleCreatorId && h.userId?._id.equals(h.battleCreatorId)),
+            score,
+            placement: h.battlePlacement ?? null,
+            isMe: Boolean(h.userId?._id.equals(viewerId))
+        };
+    });
+
+    // While running, players still in are ranked by their live score
+    if (state === 'active') rankByScore(participants.filter(p => p.status === 'active'));
+    participants.sort((a, b) => (a.placement ?? Infinity) - (b.placement ?? Infinity) || (b.score ?? -1) - (a.score ?? -1));
+
+    return {
+        sharedGroupId,
+        name: copies[0].name,
+        status: state,
+        battleDuration: copies[0].battleDuration,
+        battleStartDate: copies.find(h => h.battleStartDate)?.battleStartDate || null,
+        quorum: copies[0].battleQuorum || 1,
+        accepted: copies.filter(h => h.battleStatus === 'accepted').length,
+        participants
+    };
+};
+
+// --- HEAD-TO-HEAD ---
+
+// Result of one finished battle for `me` against `them` (both completed copies of the same group)
+const headToHeadResult = (mine, theirs) => {
+    if (mine.battleWinner?.equals(mine.userId)) return 'win';
+    if (mine.battleWinner?.equals(theirs.userId)) return 'loss';
+    // Someone else won a group battle (or nobody did): whoever placed higher
+    if (mine.battlePlacement && theirs.battlePlacement && mine.battlePlacement !== theirs.battlePlacement) {
+        return mine.battlePlacement < theirs.battlePlacement ? 'win' : 'loss';
+    }
+    return 'draw';
+};
+
+// Finished battles between the user and each of `opponentIds`, oldest first.
+// Returns a Map of opponent id -> [{ sharedGroupId, name, result, resolvedAt, myScore, theirScore }].
+const getHeadToHeadBattles = async (userId, opponentIds) => {
+    const mine = await Habit.find({ userId, type: 'battle', battleStatus: 'completed' });
+    const myCopies = new Map(mine.map(h => [h.sharedGroupId, h]));
+
+    const theirs = await Habit.find({
+        sharedGroupId: { $in: [...myCopies.keys()] },
+        userId: { $in: opponentIds },
+        battleStatus: 'completed'
+    }, 'sharedGroupId userId battleWinner battlePlacement battleScore');
+
+    const byOpponent = new Map(opponentIds.map(id => [id.toString(), []]));
+    for (const their of theirs) {
+        const my = myCopies.get(their.sharedGroupId);
+        byOpponent.get(their.userId.toString()).push({
+            sharedGroupId: their.sharedGroupId,
+            name: my.name,
+            result: headToHeadResult(my, their),
+            resolvedAt: my.battleResolvedAt || my.createdAt,
+            myScore: my.battleScore ?? null,
+            theirScore: their.battleScore ?? null
+        });
+    }
+    for (const battles of byOpponent.values()) battles.sort((a, b) => a.resolvedAt - b.resolvedAt);
+    return byOpponent;
+};
+
+// Totals and the current run of wins (most recent battles first) for a list of results
+const summarizeHeadToHead = (battles) => {
+    const record = { total: battles.length, wins: 0, losses: 0, draws: 0, winStreak: 0 };
+    for (const b of battles) {
+        if (b.result === 'win') record.wins++;
+        else if (b.result === 'loss') record.losses++;
+        else record.draws++;
+    }
+    for (let i = battles.length - 1; i >= 0 && battles[i].result === 'win'; i--) record.winStreak++;
+    return record;
+};
+
+// --- REMATCH ---
+
+// Battle settings carried over from a finished battle
+const rematchHabitData = (habit) => {
+    const { name, rules, color, schedule, isRepBased, reps, repUnit } = habit.toObject();
+    return { name, rules, color, schedule, isRepBased, reps, repUnit };
+};
+
+// The user's finished copy of a battle and everyone else who was in it (accounts that still exist)
+const findRematch = async (sharedGroupId, userId) => {
+    const mine = await Habit.findOne({ sharedGroupId, userId, type: 'battle', battleStatus: 'completed' });
+    if (!mine) return null;
+
+    const others = await Habit.find({ sharedGroupId, userId: { $ne: userId }, battleStatus: 'completed' }, 'userId');
+    return {
+        habit: mine,
+        opponentIds: others.map(h => h.userId).filter(Boolean).map(id => id.toString())
+    };
+};
+
+module.exports = {
+    BATTLE_XP,
+    GROUP_BATTLE_XP,
+    GROUP_BATTLE_LOSS_XP,
+    MAX_BATTLE_INVITEES,
+    getBattleWindow,
+    scoreBattleHabit,
+    rankByScore,
+    battlePayout,
+    createBattle,
+    acceptBattleInvite,
+    declineBattleInvite,
+    cancelBattle,
+    withdrawFromBattle,
+    resolveBattleIfExpired,
+    resolveExpiredBattlesForUser,
+    getBattleScoreboard,
+    getHeadToHeadBattles,
+    summarizeHeadToHead,
+    rematchHabitData,
+    findRematch
+};
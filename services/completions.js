@@ -0,0 +1,136 @@
+const { calculateStreak } = require('../utils/streak');
+const { applyXp } = require('./xp');
+const { resolveHellWeekIfEnded } = require('./hellWeek');
+const { streakMilestone, recordActivity, removeCompletionActivity } = require('./activity');
+const { refreshUserStreak } = require('./leaderboards');
+
+const UNDO_WINDOW_MS = 60 * 1000; // 60 seconds undo window
+const COMPLETION_XP = 15;
+const HELL_WEEK_BONUS_XP = 20;
+
+const matchesDate = (entry, date) => (typeof entry === 'object' ? entry.date === date : entry === date);
+
+const getLogEntry = (habit, date) => habit.completionLog.find(e => e.date === date);
+
+// Rep-based habits are done once the logged quantity meets the target
+const meetsTarget = (habit, quantity) => {
+    if (!habit.isRepBased) return quantity > 0;
+    return quantity >= Math.max(1, habit.reps || 0);
+};
+
+// Marks a local day done or not done, then syncs streak and XP.
+// XP is granted once per date; unchecking only refunds within the undo window.
+// Saves the habit (and user when XP changes).
+const setCompletion = async (habit, user, date, completed) => {
+    // Initialize xpGrantedDates if not exists (for backward compatibility)
+    if (!habit.xpGrantedDates) {
+        habit.xpGrantedDates = [];
+    }
+
+    const existsIndex = habit.completedDates.indexOf(date);
+    const xpGrantEntry = habit.xpGrantedDates.find(entry => matchesDate(entry, date));
+    const previousStreak = habit.currentStreak || 0;
+    let xpChange = 0;
+
+    if (existsIndex > -1 && !completed) {
+        // Unchecking - remove from completed dates
+        habit.completedDates.splice(existsIndex, 1);
+
+        // Check if within undo window (60 seconds)
+        if (xpGrantEntry) {
+            const grantedAt = xpGrantEntry.grantedAt ? new Date(xpGrantEntry.grantedAt) : null;
+
+            if (grantedAt && (new Date() - grantedAt) < UNDO_WINDOW_MS) {
+                // Within undo window - refund XP
+                xpChange = -COMPLETION_XP;
+                habit.xpGrantedDates = habit.xpGrantedDates.filter(entry => !matchesDate(entry, date));
+            }
+            // If outside undo window, no XP change (keeps the XP but removes completion)
+        }
+    } else if (existsIndex === -1 && completed) {
+        // Checking - add to completed dates
+        habit.completedDates.push(date);
+
+        // Only grant XP if this date hasn't been granted before
+        if (!xpGrantEntry) {
+            xpChange = COMPLETION_XP;
+            habit.xpGrantedDates.push({ date, grantedAt: new Date() });
+        }
+    }
+
+    habit.completedDates.sort();
+    // Recalculate streak using robust logic
+    habit.currentStreak = calculateStreak(habit.completedDates, user.timezone, habit.schedule);
+
+    await habit.save();
+    user.currentStreak = await refreshUserStreak(user._id);
+
+    // Friends' feed
+    if (existsIndex === -1 && completed) {
+        const subject = { habitId: habit._id, habitName: habit.name, date };
+        await recordActivity(user, 'habit_completed', subject, { dedupe: ['habitId', 'date'] });
+
+        const milestone = streakMilestone(previousStreak, habit.currentStreak);
+        if (milestone) {
+            await recordActivity(user, 'streak_milestone', { ...subject, streak: milestone }, { dedupe: ['habitId', 'date', 'streak'] });
+        }
+    } else if (existsIndex > -1 && !completed) {
+        await removeCompletionActivity(user._id, habit._id, date);
+    }
+
+    await resolveHellWeekIfEnded(user); // No multiplier once the week is over
+    if (xpChange !== 0) {
+        const source = { habitId: habit._id, date };
+        await applyXp(user, xpChange, xpChange > 0 ? 'habit_completed' : 'habit_uncompleted', source);
+
+        // Hell Week Multiplier (recorded separately so the ledger shows the bonus)
+        if (user.hellWeek?.isActive) {
+            await applyXp(user, xpChange > 0 ? HELL_WEEK_BONUS_XP : -HELL_WEEK_BONUS_XP, 'hell_week_bonus', source);
+        }
+    }
+
+    return xpChange;
+};
+
+// Records how much was done on a day (replacing or adding to the previous amount).
+// The day only counts as completed once the target is met.
+const logQuantity = async (habit, user, date, quantity, { mode = 'set' } = {}) => {
+    let entry = getLogEntry(habit, date);
+    const previous = entry?.quantity || 0;
+    const total = Math.max(0, mode === 'add' ? previous + quantity : quantity);
+
+    if (total === 0) {
+        habit.completionLog = habit.completionLog.filter(e => e.date !== date);
+    } else {
+        if (!entry) {
+            habit.completionLog.push({ date });
+            entry = habit.completionLog[habit.completionLog.length - 1];
+        }
+        entry.quantity = total;
+        entry.target = habit.reps || 0;
+        entry.unit = habit.repUnit;
+        entry.loggedAt = new Date();
+    }
+
+    return setCompletion(habit, user, date, meetsTarget(habit, total));
+};
+
+// Flip a day. For rep-based habits checking logs the full target and unchecking clears the log.
+const toggleCompletion = async (habit, user, date) => {
+    const completed = !habit.completedDates.includes(date);
+    if (!habit.isRepBased) return setCompletion(habit, user, date, completed);
+
+    const target = Math.max(1, habit.reps || 0);
+    const current = getLogEntry(habit, date)?.quantity || 0;
+    return logQuantity(habit, user, date, completed ? Math.max(current, target) : 0);
+};
+
+module.exports = {
+    UNDO_WINDOW_MS,
+    COMPLETION_XP,
+    HELL_WEEK_BONUS_XP,
+    meetsTarget,
+    setCompletion,
+    logQuantity,
+    toggleCompletion
+};
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const Habit = require('../models/Habit');
+const User = require('../models/User');
+const XpTransaction = require('../models/XpTransaction');
+const { isEmailConfigured, sendEmail, unsubscribeUrl, unsubscribeHeaders } = require('./mailer');
+const { weeklyDigestEmail } = require('../utils/emailTemplates');
+const { toLocalDateString, toLocalTimeString, addDays, dayOfWeek, startOfLocalDay } = require('../utils/dates');
+const { startOfWeek } = require('../utils/schedule');
+const { calculateStreakOn, completionStats } = require('../utils/streak');
+const { levelProgress } = require('../utils/levels');
+
+// --- WEEKLY DIGEST ---
+// Opt-in summary of the user's last local week (Monday to Sunday), sent on Monday morning
+// their time. XP, battle results and overtakes all come from the XP ledger.
+
+const DIGEST_SEND_DAY = 1; // Monday
+const DIGEST_SEND_TIME = '08:00'; // Local; sent on the first job run after this
+
+const BATTLE_REASONS = ['battle_won', 'battle_lost', 'battle_draw', 'battle_placed', 'battle_surrendered'];
+
+// The finished local week before the one `now` falls in
+const previousWeek = (now, timezone) => {
+    const weekStart = addDays(startOfWeek(toLocalDateString(now, timezone)), -7);
+    const weekEnd = addDays(weekStart, 6);
+    return {
+        weekStart,
+        weekEnd,
+        from: startOfLocalDay(weekStart, timezone),
+        to: startOfLocalDay(addDays(weekEnd, 1), timezone)
+    };
+};
+
+// Completions vs. scheduled days and streak change for each Home habit that existed during the week
+const habitSummaries = (habits, timezone, weekStart, weekEnd) => habits
+    .map(h => {
+        const createdStr = toLocalDateString(h.createdAt, timezone);
+        if (createdStr > weekEnd) return null;
+        const from = createdStr > weekStart ? createdStr : weekStart;
+        const { expected, completed } = completionStats(h.completedDates, h.schedule, from, weekEnd);
+        return {
+            name: h.name,
+            completed,
+            expected,
+            streakBefore: calculateStreakOn(h.completedDates, h.schedule, addDays(weekStart, -1)),
+            streakAfter: calculateStreakOn(h.completedDates, h.schedule, weekEnd)
+        };
+    })
+    .filter(Boolean);
+
+// Friends who were at or below the user's XP when the week started and are above it now
+const findOvertakers = async (user, since) => {
+    if (user.friends.length === 0) return [];
+    const friends = await User.find({ _id: { $in: user.friends }, 'deletion.scheduledFor': null }, 'firstName lastName platformXp');
+
+    const ids = [user._id, ...friends.map(f => f._id)].map(id => new mongoose.Types.ObjectId(id.toString()));
+    const gains = await XpTransaction.aggregate([
+        { $match: { userId: { $in: ids }, createdAt: { $gte: since } } },
+        { $group: { _id: '$userId', total: { $sum: '$amount' } } }
+    ]);
+    const gained = new Map(gains.map(g => [g._id.toString(), g.total]));
+    const startXp = (u) => (u.platformXp || 0) - (gained.get(u._id.toString()) || 0);
+
+    const myStart = startXp(user);
+    const myNow = user.platformXp || 0;
+    return friends
+        .filter(f => startXp(f) <= myStart && (f.platformXp || 0) > myNow)
+        .sort((a, b) => b.platformXp - a.platformXp)
+        .map(f => ({ _id: f._id, firstName: f.firstName, lastName: f.lastName, platformXp: f.platformXp }));
+};
+
+// Everything the digest email shows, for the week before `now` in the user's timezone
+const buildDigest = async (user, now = new Date()) => {
+    const { weekStart, weekEnd, from, to } = previousWeek(now, user.timezone);
+
+    const habits = await Habit.find({ userId: user._id, isVisible: { $ne: false }, battleStatus: { $ne: 'completed' } });
+    const summaries = habitSummaries(habits, user.timezone, weekStart, weekEnd);
+
+    const transactions = await XpTransaction.find({ userId: user._id, createdAt: { $gte: from, $lt: to } });
+    const battleTx = transactions.filter(t => BATTLE_REASONS.includes(t.reason));
+    const battleHabits = await Habit.find({ _id: { $in: battleTx.map(t => t.habitId).filter(Boolean) } }, 'name battlePlacement');
+    const battleNames = new Map(battleHabits.map(h => [h._id.toString(), h]));
+
+    return {
+        weekStart,
+        weekEnd,
+        completed: summaries.reduce((sum, h) => sum + h.completed, 0),
+        expected: summaries.reduce((sum, h) => sum + h.expected, 0),
+        habits: summaries,
+        streakChanges: summaries.filter(h => h.streakBefore !== h.streakAfter),
+        xpGained: transactions.reduce((sum, t) => sum + t.amount, 0),
+        level: levelProgress(user.platformXp || 0, user.level || 1),
+        battles: battleTx.map(t => {
+            const habit = battleNames.get(t.habitId?.toString());
+            return {
+                name: habit?.name || 'Battle',
+                result: t.reason.replace('battle_', ''), // won, lost, draw, placed, surrendered
+                placement: habit?.battlePlacement ?? null,
+                xp: t.amount
+            };
+        }),
+        overtakenBy: await findOvertakers(user, from)
+    };
+};
+
+// Sends last week's digest if it's Monday morning (local) and it hasn't gone out yet.
+// The conditional update claims the week, so concurrent runs send it once.
+const sendDigestIfDue = async (user, now = new Date()) => {
+    const todayStr = toLocalDateString(now, user.timezone);
+    if (dayOfWeek(todayStr) !== DIGEST_SEND_DAY || toLocalTimeString(now, user.timezone) < DIGEST_SEND_TIME) return false;
+
+    const { weekStart } = previousWeek(now, user.timezone);
+    const claimed = await User.updateOne(
+        { _id: user._id, 'digest.enabled': true, 'digest.lastSentWeek': { $ne: weekStart } },
+        { $set: { 'digest.lastSentWeek': weekStart } }
+    );
+    if (claimed.modifiedCount === 0) return false;
+
+    const digest = await buildDigest(user, now);
+    const url = unsubscribeUrl(user._id, 'digest');
+    const { subject, html, text } = weeklyDigestEmail({ firstName: user.firstName, digest, unsubscribeUrl: url });
+    await sendEmail({ to: user.email, subject, html, text, headers: unsubscribeHeaders(url) });
+    return true;
+};
+
+// Sends every digest that is due. A failed send is logged and not retried until next week.
+const dispatchDigests = async (now = new Date()) => {
+    if (!isEmailConfigured()) return { skipped: 'email not configured' }; // Don't mark weeks as sent
+    const users = await User.find({
+        'digest.enabled': true,
+        'deletion.scheduledFor': null,
+        emailVerified: { $ne: false }
+    }, 'email firstName timezone platformXp level friends digest');
+
+    let sent = 0;
+    let failed = 0;
+    for (const user of users) {
+        try {
+            if (await sendDigestIfDue(user, now)) sent++;
+        } catch (err) {
+            failed++;
+            console.error(`Digest for user ${user._id} failed:`, err.message);
+        }
+    }
+    return { users: users.length, sent, failed };
+};
+
+module.exports = {
+    buildDigest,
+    sendDigestIfDue,
+    dispatchDigests
+};
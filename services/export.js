@@ -0,0 +1,131 @@
+const Habit = require('../models/Habit');
+const User = require('../models/User');
+const XpTransaction = require('../models/XpTransaction');
+const { addDays } = require('../utils/dates');
+const { toCsv } = require('../utils/csv');
+
+// --- DATA EXPORT ---
+
+// Everything we hold about a player, including completed battles hidden from Home
+const buildExportBundle = async (user) => {
+    const [habits, xpHistory, friends] = await Promise.all([
+        Habit.find({ userId: user._id }).sort({ createdAt: 1 }),
+        XpTransaction.find({ userId: user._id }).sort({ createdAt: 1 }),
+        User.find({ _id: { $in: user.friends } })
+    ]);
+
+    return {
+        exportedAt: new Date().toISOString(),
+        profile: user.toPrivateJSON(),
+        habits: habits.map(h => ({
+            _id: h._id,
+            name: h.name,
+            rules: h.rules,
+            color: h.color,
+            schedule: h.schedule,
+            type: h.type,
+            battleStatus: h.battleStatus,
+            battleStartDate: h.battleStartDate,
+            battleDuration: h.battleDuration,
+            battleWinner: h.battleWinner,
+            battleDraw: h.battleDraw,
+            partnerId: h.partnerId,
+            isRepBased: h.isRepBased,
+            reps: h.reps,
+            repUnit: h.repUnit,
+            repHistory: h.repHistory,
+            currentStreak: h.currentStreak,
+            longestStreak: h.longestStreak,
+            createdAt: h.createdAt,
+            completedDates: h.completedDates,
+            completionLog: h.completionLog
+        })),
+        xpHistory,
+        friends: friends.map(f => f.toPublicJSON())
+    };
+};
+
+// --- CSV ---
+
+// One row per day with a completion or a logged quantity
+const habitRows = (habit) => {
+    const logs = new Map((habit.completionLog || []).map(e => [e.date, e]));
+    const dates = [...new Set([...(habit.completedDates || []), ...logs.keys()])].sort();
+
+    return dates.map(date => {
+        const log = logs.get(date);
+        return [date, habit.completedDates.includes(date), log?.quantity ?? '', log?.target ?? '', log ? log.unit : ''];
+    });
+};
+
+const CSV_HEADER = ['date', 'completed', 'quantity', 'target', 'unit'];
+
+// Completion table for a single habit
+const habitToCsv = (habit) => toCsv(CSV_HEADER, habitRows(habit));
+
+// Completion table for all habits, with the habit as the leading columns
+const habitsToCsv = (habits) => toCsv(
+    ['habitId', 'habit', ...CSV_HEADER],
+    habits.flatMap(h => habitRows(h).map(row => [h._id, h.name, ...row]))
+);
+
+// --- ICALENDAR ---
+
+const icsEscape = (text) => String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// RFC 5545 lines are folded at 75 octets with a leading space on continuation lines
+const foldLine = (line) => {
+    const chunks = [];
+    let rest = Buffer.from(line, 'utf8');
+    let limit = 75;
+    while (rest.length > limit) {
+        let cut = limit;
+        while (cut > 0 && (rest[cut] & 0xc0) === 0x80) cut--; // Don't split a UTF-8 character
+        chunks.push(rest.subarray(0, cut).toString('utf8'));
+        rest = rest.subarray(cut);
+        limit = 74;
+    }
+    chunks.push(rest.toString('utf8'));
+    return chunks.join('\r\n ');
+};
+
+const icsDate = (dateStr) => dateStr.replace(/-/g, '');
+const icsTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// All-day event for every completion
+const habitsToIcs = (habits, now = new Date()) => {
+    const stamp = icsTimestamp(now);
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Monster//Habit Export//EN',
+        'CALSCALE:GREGORIAN',
+        'X-WR-CALNAME:Monster Habits'
+    ];
+
+    for (const habit of habits) {
+        const logs = new Map((habit.completionLog || []).map(e => [e.date, e]));
+        for (const date of [...new Set(habit.completedDates || [])].sort()) {
+            const log = logs.get(date);
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${habit._id}-${date}@monster`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;VALUE=DATE:${icsDate(date)}`,
+                `DTEND;VALUE=DATE:${icsDate(addDays(date, 1))}`,
+                `SUMMARY:${icsEscape(`✓ ${habit.name}`)}`
+            );
+            if (log) lines.push(`DESCRIPTION:${icsEscape(`${log.quantity} / ${log.target} ${log.unit || ''}`.trim())}`);
+            lines.push('END:VEVENT');
+        }
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = { buildExportBundle, habitToCsv, habitsToCsv, habitsToIcs };
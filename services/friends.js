@@ -0,0 +1,93 @@
+const Habit = require('../models/Habit');
+const User = require('../models/User');
+const { declineBattleInvite } = require('./battles');
+
+// --- FRIENDS & BLOCKING ---
+
+// A rejected sender has to wait this long before asking the same player again
+const REQUEST_COOLDOWN_DAYS = 7;
+
+const includesId = (ids, id) => (ids || []).some(x => x.toString() === id.toString());
+
+// True if either player has blocked the other
+const isBlockedBetween = (a, b) => includesId(a.blockedUsers, b._id) || includesId(b.blockedUsers, a._id);
+
+// When a rejected request can be sent again (null if it isn't cooling down)
+const requestCooldownEnds = (request, now = new Date()) => {
+    if (request?.status !== 'rejected') return null;
+    const ends = new Date(request.timestamp.getTime() + REQUEST_COOLDOWN_DAYS * 24 * 60 * 60 * 1000);
+    return ends > now ? ends : null;
+};
+
+// Unfriends on both sides. Returns false if they weren't friends.
+const removeFriendship = async (user, otherId) => {
+    if (!includesId(user.friends, otherId)) return false;
+
+    user.friends.pull(otherId);
+    await user.save();
+    await User.updateOne({ _id: otherId }, { $pull: { friends: user._id } });
+    return true;
+};
+
+// Declines, on the invitee's behalf, every battle one of them invited the other to that hasn't
+// started (answered or not). Invitee copies point at the creator through partnerId. A one-on-one
+// is called off; a group battle goes on if its quorum can still be reached.
+const cancelPendingBattlesBetween = async (a, b) => {
+    const invites = await Habit.find({
+        type: 'battle',
+        battleStatus: { $in: ['pending', 'accepted'] },
+        $or: [{ userId: a, partnerId: b }, { userId: b, partnerId: a }]
+    });
+    for (const invite of invites) await declineBattleInvite(invite);
+};
+
+// Blocking also unfriends, clears requests both ways and cancels battles that haven't started.
+// Active battles play out normally.
+const blockUser = async (user, targetId) => {
+    if (!includesId(user.blockedUsers, targetId)) user.blockedUsers.push(targetId);
+    user.friends.pull(targetId);
+    user.friendRequests = user.friendRequests.filter(r => r.from.toString() !== targetId.toString());
+    await user.save();
+
+    await User.updateOne({ _id: targetId }, {
+        $pull: { friends: user._id, friendRequests: { from: user._id } }
+    });
+    await cancelPendingBattlesBetween(user._id, targetId);
+};
+
+// Returns false if the player wasn't blocked
+const unblockUser = async (user, targetId) => {
+    if (!includesId(user.blockedUsers, targetId)) return false;
+    user.blockedUsers.pull(targetId);
+    await user.save();
+    return true;
+};
+
+// Pending requests the user has sent and that haven't been answered
+const listSentRequests = async (userId) => {
+    const targets = await User.find({ friendRequests: { $elemMatch: { from: userId, status: 'pending' } } });
+    return targets.map(target => ({
+        to: target.toPublicJSON(),
+        timestamp: target.friendRequests.find(r => r.from.toString() === userId.toString()).timestamp
+    }));
+};
+
+// Withdraws a pending request. Returns false if there was none.
+const cancelSentRequest = async (userId, targetId) => {
+    const result = await User.updateOne(
+        { _id: targetId },
+        { $pull: { friendRequests: { from: userId, status: 'pending' } } }
+    );
+    return result.modifiedCount > 0;
+};
+
+module.exports = {
+    REQUEST_COOLDOWN_DAYS,
+    isBlockedBetween,
+    requestCooldownEnds,
+    removeFriendship,
+    blockUser,
+    unblockUser,
+    listSentRequests,
+    cancelSentRequest
+};
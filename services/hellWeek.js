@@ -0,0 +1,97 @@
+const Habit = require('../models/Habit');
+const User = require('../models/User');
+const { applyXp } = require('./xp');
+const { recordActivity } = require('./activity');
+const { toLocalDateString, addDays, endOfLocalPeriod } = require('../utils/dates');
+const { completionStats } = require('../utils/streak');
+
+const HELL_WEEK_DAYS = 7;
+const HELL_WEEK_MIN_LEVEL = 4;
+
+const HELL_WEEK_XP = {
+    completed: 1000, // Every habit done on every scheduled day
+    failed: -500, // Survived the week but missed something
+    surrendered: -700 // Early exit - biggest penalty
+};
+
+// Same set of habits the Home screen shows
+const findActiveHabits = (userId) => Habit.find({
+    userId,
+    isVisible: { $ne: false },
+    battleStatus: { $ne: 'completed' }
+});
+
+// Snapshot today's habits; these are the ones judged when the week ends.
+// Returns null when there is nothing to judge.
+const startHellWeek = async (user, now = new Date()) => {
+    const habits = await findActiveHabits(user._id);
+    if (habits.length === 0) return null;
+
+    user.hellWeek = {
+        isActive: true,
+        startDate: now,
+        targetDate: endOfLocalPeriod(now, HELL_WEEK_DAYS, user.timezone), // Local midnight after day 7
+        habits: habits.map(h => h._id),
+        schedules: habits.map(h => ({ habitId: h._id, schedule: h.toObject().schedule }))
+    };
+    await user.save();
+    await recordActivity(user, 'hell_week_started');
+    return user.hellWeek;
+};
+
+// Checks every snapshotted habit was done on each day its schedule (as it was at the start) asked for.
+// A habit deleted mid-week counts as failed.
+const evaluateHellWeek = async (user) => {
+    const { startDate, habits: habitIds = [], schedules = [] } = user.hellWeek;
+    // Weeks started before schedules were snapshotted fall back to the current schedule
+    const snapshot = new Map(schedules.map(s => [s.habitId.toString(), s.schedule]));
+    const startStr = toLocalDateString(startDate, user.timezone);
+    const endStr = addDays(startStr, HELL_WEEK_DAYS - 1);
+
+    const habits = await Habit.find({ _id: { $in: habitIds }, userId: user._id });
+    if (habits.length < habitIds.length) return false;
+
+    return habits.every(h => {
+        const schedule = snapshot.get(h._id.toString()) || h.schedule;
+        const { expected, completed } = completionStats(h.completedDates, schedule, startStr, endStr);
+        return completed >= expected;
+    });
+};
+
+// Ends the active Hell Week with the given result and applies its XP.
+// The conditional update acts as a lock so a week can only be settled once.
+const finishHellWeek = async (user, result, now = new Date()) => {
+    const claimed = await User.updateOne(
+        { _id: user._id, 'hellWeek.isActive': true, 'hellWeek.startDate': user.hellWeek.startDate },
+        { $set: { 'hellWeek.isActive': false, 'hellWeek.result': result, 'hellWeek.resolvedAt': now } }
+    );
+    if (claimed.modifiedCount === 0) return null;
+
+    user.hellWeek.isActive = false;
+    user.hellWeek.result = result;
+    user.hellWeek.resolvedAt = now;
+    await applyXp(user, HELL_WEEK_XP[result], `hell_week_${result}`);
+    if (result === 'completed') await recordActivity(user, 'hell_week_completed');
+    return result;
+};
+
+// Settles the week once targetDate has passed. Returns the result, or null if nothing changed.
+const resolveHellWeekIfEnded = async (user, now = new Date()) => {
+    if (!user.hellWeek?.isActive || !user.hellWeek.targetDate) return null;
+    if (now < user.hellWeek.targetDate) return null;
+
+    const passed = await evaluateHellWeek(user);
+    return finishHellWeek(user, passed ? 'completed' : 'failed', now);
+};
+
+const surrenderHellWeek = (user, now = new Date()) => finishHellWeek(user, 'surrendered', now);
+
+module.exports = {
+    HELL_WEEK_DAYS,
+    HELL_WEEK_MIN_LEVEL,
+    HELL_WEEK_XP,
+    startHellWeek,
+    evaluateHellWeek,
+    resolveHellWeekIfEnded,
+    surrenderHellWeek
+};
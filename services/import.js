@@ -0,0 +1,191 @@
+const Habit = require('../models/Habit');
+const { toLocalDateString, isValidDateString, startOfLocalDay } = require('../utils/dates');
+const { object, runSchema } = require('../utils/validation');
+const { habitFields } = require('../schemas/habit');
+const { calculateStreak, streakRuns } = require('../utils/streak');
+const { parseCsv, parseCsvObjects } = require('../utils/csv');
+
+// --- HABIT IMPORT ---
+// Supported formats:
+//   'json' { habits: [{ name, color?, rules?, schedule?, isRepBased?, reps?, repUnit?, completedDates: [] }] }
+//   'csv'  header row with at least "habit,date" (optional "completed": rows with false/0/no are skipped).
+//          Our own /export/csv output imports as-is.
+//   'loop' Loop Habit Tracker export: { checkmarks: <Checkmarks.csv>, habits?: <Habits.csv> }
+
+const IMPORT_FORMATS = ['json', 'csv', 'loop'];
+const MAX_HABITS = 100;
+const MAX_DATES_PER_HABIT = 4000; // A bit over ten years of daily check-ins
+
+// Loop writes 2 for a manual check; 1 is an automatic check implied by the frequency, not an actual completion
+const LOOP_CHECKED = ['2', 'YES_MANUAL'];
+
+const FALSY = ['false', '0', 'no', 'n', ''];
+
+// Loop frequency (NumRepetitions per Interval days) -> our schedule
+const loopSchedule = (numRepetitions, interval) => {
+    const reps = parseInt(numRepetitions, 10) || 1;
+    const days = parseInt(interval, 10) || 1;
+    if (reps >= days) return { kind: 'daily' };
+    if (days === 7) return { kind: 'timesPerWeek', timesPerWeek: reps };
+    if (reps === 1) return { kind: 'interval', everyDays: days };
+    return { kind: 'daily' };
+};
+
+const fromJson = (data) => {
+    const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+    const list = Array.isArray(parsed) ? parsed : parsed?.habits;
+    if (!Array.isArray(list)) throw new Error('JSON import needs a "habits" array');
+
+    // Rows that aren't habit objects are reported (by index) and skipped; the rest still import
+    return list.map((h, row) => {
+        if (!h || typeof h !== 'object' || Array.isArray(h)) return { row, error: 'Habit must be an object' };
+        return {
+            name: h.name,
+            color: h.color,
+            rules: h.rules,
+            schedule: h.schedule,
+            isRepBased: h.isRepBased,
+            reps: h.reps,
+            repUnit: h.repUnit,
+            completedDates: Array.isArray(h.completedDates) ? h.completedDates : []
+        };
+    });
+};
+
+const fromCsv = (data) => {
+    const rows = parseCsvObjects(data);
+    if (rows.length > 0 && (!('habit' in rows[0]) || !('date' in rows[0]))) {
+        throw new Error('CSV import needs "habit" and "date" columns');
+    }
+
+    const byName = new Map();
+    for (const row of rows) {
+        if ('completed' in row && FALSY.includes(row.completed.toLowerCase())) continue;
+        if (!byName.has(row.habit)) byName.set(row.habit, { name: row.habit, completedDates: [] });
+        byName.get(row.habit).completedDates.push(row.date);
+    }
+    return [...byName.values()];
+};
+
+const fromLoop = (data) => {
+    const { checkmarks, habits } = typeof data === 'string' ? { checkmarks: data } : (data || {});
+    const [header, ...rows] = parseCsv(checkmarks);
+    if (!header || header[0].trim().toLowerCase() !== 'date') {
+        throw new Error('Loop import needs Checkmarks.csv (first column "Date")');
+    }
+
+    // Habits.csv carries the frequency and color of each habit, matched by name
+    const meta = new Map(parseCsvObjects(habits).map(h => [h.name, h]));
+
+    const columns = header.slice(1).map(name => name.trim());
+    const imported = columns
+        .map((name, i) => ({ name, index: i + 1 }))
+        .filter(c => c.name)
+        .map(({ name, index }) => {
+            const info = meta.get(name);
+            return {
+                name,
+                color: /^#[0-9a-f]{6}$/i.test(info?.color || '') ? info.color : undefined,
+                rules: info?.question || info?.description || undefined,
+                schedule: info ? loopSchedule(info.numrepetitions, info.interval) : undefined,
+                completedDates: rows
+                    .filter(row => LOOP_CHECKED.includes((row[index] || '').trim()))
+                    .map(row => row[0].trim())
+            };
+        });
+    return imported;
+};
+
+const PARSERS = { json: fromJson, csv: fromCsv, loop: fromLoop };
+
+// The habit fields an import can carry, checked by the same rules as POST /habits
+const IMPORT_FIELDS = ['name', 'rules', 'color', 'schedule', 'isRepBased', 'reps', 'repUnit'];
+const importedHabit = object(Object.fromEntries(IMPORT_FIELDS.map(key => [key, habitFields[key]])));
+
+// Validates and cleans one parsed habit against the user's local today
+const prepareHabit = (raw, user, todayStr, existingNames) => {
+    const { completedDates: rawDates, ...fields } = raw;
+    const { value, errors: fieldErrors } = runSchema(importedHabit, fields, '');
+    const errors = fieldErrors.map(e => `${e.field} ${e.message}`);
+    const warnings = [];
+    const habit = value || {};
+    const name = habit.name || (typeof raw.name === 'string' ? raw.name.trim() : '');
+
+    const valid = [];
+    let invalidCount = 0;
+    let futureCount = 0;
+    for (const date of rawDates) {
+        const str = typeof date === 'string' ? date.trim() : '';
+        if (!isValidDateString(str)) invalidCount++;
+        else if (str > todayStr) futureCount++;
+        else valid.push(str);
+    }
+    const completedDates = [...new Set(valid)].sort();
+
+    if (invalidCount > 0) warnings.push(`Skipped ${invalidCount} invalid date(s)`);
+    if (futureCount > 0) warnings.push(`Skipped ${futureCount} future date(s)`);
+    if (completedDates.length > MAX_DATES_PER_HABIT) errors.push(`More than ${MAX_DATES_PER_HABIT} completions`);
+    if (existingNames.has(name.toLowerCase())) warnings.push('You already have a habit with this name; a second one will be created');
+
+    const schedule = habit.schedule;
+    return {
+        name,
+        errors,
+        warnings,
+        doc: {
+            userId: user._id,
+            name,
+            color: habit.color,
+            rules: habit.rules,
+            schedule,
+            isRepBased: Boolean(habit.isRepBased),
+            reps: habit.reps,
+            repUnit: habit.repUnit,
+            completedDates,
+            // Imported days count as already rewarded, so toggling them later never grants XP
+            xpGrantedDates: completedDates.map(date => ({ date, grantedAt: new Date(0) })),
+            currentStreak: calculateStreak(completedDates, user.timezone, schedule),
+            longestStreak: streakRuns(completedDates, schedule, todayStr)[0]?.length || 0,
+            // Backdate so completion rates cover the imported history
+            createdAt: completedDates.length > 0 ? startOfLocalDay(completedDates[0], user.timezone) : undefined
+        }
+    };
+};
+
+// Parses and validates an import. With dryRun nothing is written and the preview is returned.
+const importHabits = async (user, { format, data, dryRun = false }) => {
+    if (!IMPORT_FORMATS.includes(format)) throw new Error(`Format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+
+    const rows = PARSERS[format](data);
+    if (rows.length > MAX_HABITS) throw new Error(`Import is limited to ${MAX_HABITS} habits`);
+    const skipped = rows.filter(r => r.error);
+    const parsed = rows.filter(r => !r.error);
+    if (parsed.length === 0) throw new Error('No habits found in import');
+
+    const todayStr = toLocalDateString(new Date(), user.timezone);
+    const existing = await Habit.find({ userId: user._id }, 'name');
+    const existingNames = new Set(existing.map(h => h.name.toLowerCase()));
+
+    const prepared = parsed.map(raw => prepareHabit(raw, user, todayStr, existingNames));
+    const preview = prepared.map(p => ({
+        name: p.name,
+        completions: p.doc.completedDates.length,
+        firstDate: p.doc.completedDates[0] || null,
+        lastDate: p.doc.completedDates[p.doc.completedDates.length - 1] || null,
+        currentStreak: p.doc.currentStreak,
+        longestStreak: p.doc.longestStreak,
+        schedule: p.doc.schedule || { kind: 'daily' },
+        errors: p.errors,
+        warnings: p.warnings
+    }));
+
+    const hasErrors = prepared.some(p => p.errors.length > 0);
+    if (dryRun || hasErrors) {
+        return { dryRun: true, valid: !hasErrors, habits: preview, skipped, created: [] };
+    }
+
+    const created = await Habit.create(prepared.map(p => p.doc));
+    return { dryRun: false, valid: true, habits: preview, skipped, created };
+};
+
+module.exports = { IMPORT_FORMATS, importHabits };
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Habit = require('../models/Habit');
+const User = require('../models/User');
+const JobRun = require('../models/JobRun');
+const JobLock = require('../models/JobLock');
+const { INCREMENT_FREQUENCIES, applyDueIncrements } = require('../utils/reps');
+const { resolveBattleIfExpired } = require('./battles');
+const { resolveHellWeekIfEnded } = require('./hellWeek');
+const { purgeDueAccounts } = require('./accounts');
+const { reconcileHabits } = require('./reconcile');
+const { refreshUserStreak } = require('./leaderboards');
+const { dispatchReminders } = require('./reminders');
+const { dispatchDigests } = require('./digest');
+const { toLocalDateString } = require('../utils/dates');
+
+// --- SCHEDULED JOBS ---
+// Time-based game logic that shouldn't wait for a player to open the app.
+// Every job is idempotent (the services claim their own work), so running one twice is harmless;
+// the lock just avoids doing the work twice at the same time.
+// Triggered by Vercel cron (GET /jobs/tick) or by startScheduler() in server.js.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Longest a run may hold its lock before another instance can take over. Resumable jobs renew it
+// with every batch, so a run killed mid-way (serverless timeout) frees the job within this long.
+const LOCK_LEASE_MS = 2 * MINUTE;
+
+// A tick starts no new job after this long, so it fits inside the serverless function's
+// maxDuration (60s, vercel.json); jobs it didn't reach stay due for the next tick
+const TICK_TIME_BUDGET_MS = 40 * 1000;
+
+// Per-user jobs stop after this long (or at the tick's budget, if sooner) and resume from
+// their cursor on the next tick
+const RUN_TIME_BUDGET_MS = 20 * 1000;
+const USER_BATCH_SIZE = 200;
+
+// Ticks don't land exactly on the minute; a job counts as due this much before its interval is up
+const SCHEDULE_SLACK_MS = MINUTE;
+
+// Streak reconcile for one user, at most once per local day
+const reconcileUserStreaks = async (user, now) => {
+    const todayStr = toLocalDateString(now, user.timezone);
+    if (user.streaksReconciledOn === todayStr) return null;
+
+    const habits = await Habit.find({ userId: user._id, isVisible: { $ne: false }, battleStatus: { $ne: 'completed' } });
+    const updated = await reconcileHabits(habits, user.timezone, now);
+    if (habits.length > 0) await refreshUserStreak(user._id);
+    await User.updateOne({ _id: user._id }, { $set: { streaksReconciledOn: todayStr } });
+    return updated;
+};
+
+const JOBS = {
+    // Battles whose last participant's window has ended
+    resolveBattles: {
+        intervalMs: 15 * MINUTE,
+        run: async (now) => {
+            const groupIds = await Habit.distinct('sharedGroupId', { type: 'battle', battleStatus: 'active' });
+            let resolved = 0;
+            for (const groupId of groupIds) {
+                if (await resolveBattleIfExpired(groupId, now)) resolved++;
+            }
+            return { checked: groupIds.length, resolved };
+        }
+    },
+    // Hell Weeks past their target date
+    resolveHellWeeks: {
+        intervalMs: 15 * MINUTE,
+        run: async (now) => {
+            const users = await User.find({ 'hellWeek.isActive': true, 'hellWeek.targetDate': { $lte: now } });
+            let resolved = 0;
+            for (const user of users) {
+                if (await resolveHellWeekIfEnded(user, now)) resolved++;
+            }
+            return { checked: users.length, resolved };
+        }
+    },
+    // Progressive rep targets that are due to go up
+    applyRepIncrements: {
+        intervalMs: HOUR,
+        run: async (now) => {
+            const habits = await Habit.find({
+                isRepBased: true,
+                repIncrement: { $gt: 0 },
+                repIncrementFrequency: { $in: INCREMENT_FREQUENCIES },
+                $or: [{ nextIncrementDate: { $lte: now } }, { nextIncrementDate: null }]
+            });
+            let updated = 0;
+            for (const habit of habits) {
+                if (!applyDueIncrements(habit, now)) continue;
+                await habit.save();
+                updated++;
+            }
+            return { checked: habits.length, updated };
+        }
+    },
+    // Streaks that broke overnight, per user so local midnights are respected.
+    // Walks users in _id order in batches, saving the cursor after each; `next` is where the
+    // following run resumes (null once done).
+    reconcileStreaks: {
+        intervalMs: HOUR,
+        resumable: true,
+        run: async (now, { cursor, deadline, saveCursor }) => {
+            const counts = { users: 0, skipped: 0, updated: 0 };
+            let last = cursor || null;
+            while (true) {
+                const users = await User.find(last ? { _id: { $gt: last } } : {}, 'timezone streaksReconciledOn')
+                    .sort({ _id: 1 })
+                    .limit(USER_BATCH_SIZE);
+                if (users.length === 0) return { ...counts, next: null };
+
+                for (const user of users) {
+                    if (Date.now() >= deadline) return { ...counts, next: last };
+                    const updated = await reconcileUserStreaks(user, now);
+                    if (updated === null) counts.skipped++;
+                    else counts.updated += updated;
+                    counts.users++;
+                    last = user._id.toString();
+                }
+                await saveCursor(last);
+            }
+        }
+    },
+    // Reminder emails for habits still open today
+    sendReminders: {
+        intervalMs: 5 * MINUTE,
+        run: (now) => dispatchReminders(now)
+    },
+    // Weekly summary emails (each user gets theirs on Monday morning, local time)
+    sendWeeklyDigests: {
+        intervalMs: HOUR,
+        run: (now) => dispatchDigests(now)
+    },
+    // Accounts whose deletion grace period is over
+    purgeDeletedAccounts: {
+        intervalMs: HOUR,
+        run: async (now) => ({ purged: await purgeDueAccounts(now) })
+    }
+};
+
+const JOB_NAMES = Object.keys(JOBS);
+
+// --- LOCKING ---
+
+// Takes the job's lease and returns the lock (with any saved cursor), or null if it's held.
+// The upsert fails with a duplicate key while someone else holds it.
+const acquireLock = async (name, owner, now) => {
+    try {
+        const lock = await JobLock.findOneAndUpdate(
+            { _id: name, lockedUntil: { $lte: now } },
+            { $set: { lockedUntil: new Date(now.getTime() + LOCK_LEASE_MS), owner } },
+            { upsert: true, returnDocument: 'after' }
+        );
+        return lock.owner === owner ? lock : null;
+    } catch (err) {
+        if (err.code === 11000) return null;
+        throw err;
+    }
+};
+
+// Resumable jobs store their progress as they go, renewing the lease, so a run that gets
+// killed loses at most one batch
+const saveProgress = (name, owner, cursor) => JobLock.updateOne(
+    { _id: name, owner },
+    { $set: { cursor, lockedUntil: new Date(Date.now() + LOCK_LEASE_MS) } }
+);
+
+// Resumable jobs also store where their next run should start (null once they finished)
+const releaseLock = (name, owner, cursor) => JobLock.updateOne(
+    { _id: name, owner },
+    { $set: { lockedUntil: new Date(0), ...(cursor !== undefined && { cursor }) } }
+);
+
+// --- RUNNING ---
+
+// Runs one job now and logs the run. Returns the JobRun, or null if another run holds the lock.
+// `now` is the tick's time: the job's logic and its next due time both go by it.
+const runJob = async (name, { trigger = 'manual', now = new Date(), deadline = Infinity } = {}) => {
+    const job = JOBS[name];
+    if (!job) throw new Error(`Unknown job: ${name}`);
+
+    const owner = crypto.randomUUID();
+    const lock = await acquireLock(name, owner, now);
+    if (!lock) return null;
+
+    const startedAt = new Date();
+    let status = 'succeeded';
+    let result;
+    let error;
+    try {
+        result = await job.run(now, {
+            cursor: lock.cursor,
+            deadline: Math.min(deadline, startedAt.getTime() + RUN_TIME_BUDGET_MS),
+            saveCursor: (cursor) => saveProgress(name, owner, cursor)
+        });
+    } catch (err) {
+        status = 'failed';
+        error = err.message;
+        console.error(`Job ${name} failed:`, err.message);
+    } finally {
+        // A failed run keeps the old cursor and retries from there
+        await releaseLock(name, owner, job.resumable && result ? result.next : undefined);
+    }
+
+    const finishedAt = new Date();
+    return JobRun.create({
+        job: name,
+        status,
+        trigger,
+        scheduledAt: now,
+        startedAt,
+        finishedAt,
+        durationMs: finishedAt - startedAt,
+        result,
+        error
+    });
+};
+
+// A job is due when its last successful run was scheduled at least its interval ago (less the slack),
+// or when a resumable job stopped partway through. Comparing tick times, not the moment the run
+// actually started, keeps jobs late in a tick from drifting past the next tick.
+const isDue = async (name, now) => {
+    if (JOBS[name].resumable && await JobLock.exists({ _id: name, cursor: { $type: 'string' } })) return true;
+    const last = await JobRun.findOne({ job: name, status: 'succeeded' }).sort({ startedAt: -1 });
+    return !last || now - (last.scheduledAt || last.startedAt) >= JOBS[name].intervalMs - SCHEDULE_SLACK_MS;
+};
+
+// Runs every due job, one after another, until the tick's time budget is spent.
+// Returns { ran: [JobRun], skipped: [name] }.
+const runDueJobs = async ({ trigger = 'cron', now = new Date() } = {}) => {
+    const deadline = Date.now() + TICK_TIME_BUDGET_MS;
+    const ran = [];
+    const skipped = [];
+    for (const name of JOB_NAMES) {
+        const inBudget = Date.now() < deadline;
+        const run = inBudget && (await isDue(name, now)) ? await runJob(name, { trigger, now, deadline }) : null;
+        if (run) ran.push(run);
+        else skipped.push(name);
+    }
+    return { ran, skipped };
+};
+
+// Latest runs, newest first (optionally for one job)
+const getJobRuns = ({ job, limit = 50 } = {}) => JobRun.find(job ? { job } : {})
+    .sort({ startedAt: -1 })
+    .limit(Math.min(Math.max(1, limit), 200));
+
+// --- IN-PROCESS SCHEDULER ---
+// For long-running servers (server.js). Checks for due jobs every tick;
+// a tick is skipped while the previous one is still running or the database is down.
+const startScheduler = ({ tickMs = MINUTE } = {}) => {
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running || mongoose.connection.readyState !== 1) return;
+        running = true;
+        try {
+            await runDueJobs({ trigger: 'scheduler' });
+        } catch (err) {
+            console.error('Scheduler tick failed:', err.message);
+        } finally {
+            running = false;
+        }
+    }, tickMs);
+    timer.unref(); // Don't keep the process alive just for jobs
+    return () => clearInterval(timer);
+};
+
+module.exports = {
+    JOB_NAMES,
+    runJob,
+    runDueJobs,
+    getJobRuns,
+    startScheduler
+};
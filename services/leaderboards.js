@@ -0,0 +1,107 @@
+const Habit = require('../models/Habit');
+const User = require('../models/User');
+const { toLocalDateString } = require('../utils/dates');
+const { startOfWeek } = require('../utils/schedule');
+
+// --- LEADERBOARDS ---
+// Rankings read denormalized fields on User (platformXp, weeklyXp, currentStreak),
+// each backed by an index, so no leaderboard scans every user. The indexes in models/User.js
+// mirror metricQuery's filters and sorts; change them together.
+
+const LEADERBOARD_SCOPES = ['friends', 'global'];
+const LEADERBOARD_METRICS = ['xp', 'weekly', 'streak'];
+const DEFAULT_LIMIT = 50;
+
+// Global boards are visible to strangers, so entries never carry emails
+const ENTRY_SELECT = 'firstName lastName level monsterType';
+
+// Weekly boards share one boundary for everyone: Monday 00:00 UTC
+const currentWeekStart = (now = new Date()) => startOfWeek(toLocalDateString(now, 'UTC'));
+
+// Update-pipeline expression for weeklyXp after adding an XP change (a new week starts from 0).
+// Used inside applyXp's atomic write, so concurrent changes can't drop each other.
+const weeklyXpExpression = (amount, now = new Date()) => {
+    const weekStart = currentWeekStart(now);
+    return {
+        $cond: [
+            { $eq: ['$weeklyXp.weekStart', weekStart] },
+            { weekStart, amount: { $add: [{ $ifNull: ['$weeklyXp.amount', 0] }, amount] } },
+            { weekStart, amount }
+        ]
+    };
+};
+
+// Recomputes the user's best current streak from their Home habits
+const refreshUserStreak = async (userId) => {
+    const [best] = await Habit.find({
+        userId,
+        isVisible: { $ne: false },
+        battleStatus: { $ne: 'completed' }
+    }, 'currentStreak').sort({ currentStreak: -1 }).limit(1);
+
+    const currentStreak = best?.currentStreak || 0;
+    await User.updateOne({ _id: userId }, { $set: { currentStreak } });
+    return currentStreak;
+};
+
+// Filter, sort and value for each metric
+const metricQuery = (metric, now) => {
+    if (metric === 'weekly') {
+        const weekStart = currentWeekStart(now);
+        return {
+            filter: { 'weeklyXp.weekStart': weekStart },
+            sort: { 'weeklyXp.amount': -1, _id: 1 },
+            field: 'weeklyXp.amount',
+            valueOf: u => (u.weeklyXp?.weekStart === weekStart ? u.weeklyXp.amount || 0 : 0),
+            weekStart
+        };
+    }
+    if (metric === 'streak') {
+        return { filter: {}, sort: { currentStreak: -1, _id: 1 }, field: 'currentStreak', valueOf: u => u.currentStreak || 0 };
+    }
+    return { filter: {}, sort: { platformXp: -1, _id: 1 }, field: 'platformXp', valueOf: u => u.platformXp || 0 };
+};
+
+// Top players for a scope and metric, plus the viewer's own rank.
+// Ties share a rank. Accounts pending deletion are left out.
+const getLeaderboard = async (viewer, { scope = 'friends', metric = 'xp', limit = DEFAULT_LIMIT, now = new Date() } = {}) => {
+    const { filter, sort, field, valueOf, weekStart } = metricQuery(metric, now);
+    const base = { 'deletion.scheduledFor': null };
+    if (scope === 'friends') base._id = { $in: [viewer._id, ...viewer.friends] };
+
+    const users = await User.find({ ...base, ...filter }, `${ENTRY_SELECT} ${field.split('.')[0]}`)
+        .sort(sort)
+        .limit(Math.min(Math.max(1, limit), 100));
+
+    const entries = [];
+    users.forEach((u, i) => {
+        const value = valueOf(u);
+        const previous = entries[i - 1];
+        entries.push({
+            rank: previous && previous.value === value ? previous.rank : i + 1,
+            user: { _id: u._id, firstName: u.firstName, lastName: u.lastName, level: u.level, monsterType: u.monsterType },
+            value,
+            isMe: u._id.equals(viewer._id)
+        });
+    });
+
+    const myValue = valueOf(viewer);
+    const ahead = await User.countDocuments({ ...base, ...filter, [field]: { $gt: myValue } });
+
+    return {
+        scope,
+        metric,
+        ...(weekStart && { weekStart }),
+        entries,
+        me: { rank: ahead + 1, value: myValue }
+    };
+};
+
+module.exports = {
+    LEADERBOARD_SCOPES,
+    LEADERBOARD_METRICS,
+    currentWeekStart,
+    weeklyXpExpression,
+    refreshUserStreak,
+    getLeaderboard
+};
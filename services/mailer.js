@@ -0,0 +1,88 @@
+const { Resend } = require('resend');
+const { hashCode, verifyCode } = require('../utils/codes');
+const { isDevEnv, requireSetting } = require('../utils/env');
+
+// --- MAILER ---
+// Every email goes through one transport: Resend when RESEND_API_KEY is set, otherwise the
+// console so local dev can read codes and notifications. Outside dev there is no console
+// fallback: printing live verification or reset codes to production logs would leak them.
+
+const FROM = 'Monster App <onboarding@resend.dev>'; // Update this if you have a custom domain
+
+let resend = null;
+
+const resendTransport = {
+    name: 'resend',
+    send: async (message) => {
+        resend = resend || new Resend(process.env.RESEND_API_KEY);
+        const { data, error } = await resend.emails.send(message);
+        if (error) throw new Error(error.message);
+        return data;
+    }
+};
+
+const consoleTransport = {
+    name: 'console',
+    send: async ({ to, subject, text }) => {
+        console.log('⚠️ No RESEND_API_KEY found. Printing email to console:');
+        console.log(`EMAIL to ${to}: ${subject}\n${text}`);
+        return null;
+    }
+};
+
+const getTransport = () => {
+    if (process.env.RESEND_API_KEY) return resendTransport;
+    return isDevEnv() ? consoleTransport : null;
+};
+
+const EMAIL_NOT_CONFIGURED = 'Email service not configured on server';
+
+const isEmailConfigured = () => getTransport() !== null;
+
+// Sends one email. `text` is the plain-text alternative (and what the console transport prints).
+const sendEmail = async ({ to, subject, html, text, headers }) => {
+    const transport = getTransport();
+    if (!transport) throw new Error(EMAIL_NOT_CONFIGURED);
+    return transport.send({ from: FROM, to, subject, html, text, ...(headers && { headers }) });
+};
+
+// --- UNSUBSCRIBE ---
+// Links carry a signed "<userId>.<list>.<hmac>" token, so they work without logging in.
+
+// Email list -> User setting that turns it off, and how the unsubscribe page names it
+const EMAIL_LISTS = {
+    reminders: { setting: 'reminders.enabled', label: 'habit reminder' },
+    digest: { setting: 'digest.enabled', label: 'weekly summary' }
+};
+
+// Base of unsubscribe links and List-Unsubscribe headers; must be set outside dev
+const PUBLIC_API_URL = requireSetting('PUBLIC_API_URL', 'http://localhost:5000');
+
+const unsubscribeToken = (userId, list) => `${userId}.${list}.${hashCode(list, userId, 'unsubscribe')}`;
+
+// Returns { userId, list } for a valid token, null otherwise
+const verifyUnsubscribeToken = (token) => {
+    const [userId, list, hash] = String(token || '').split('.');
+    if (!userId || !EMAIL_LISTS[list] || !/^[0-9a-f]{64}$/.test(hash || '')) return null;
+    return verifyCode(list, hash, userId, 'unsubscribe') ? { userId, list } : null;
+};
+
+const unsubscribeUrl = (userId, list) =>
+    `${PUBLIC_API_URL}/email/unsubscribe?token=${encodeURIComponent(unsubscribeToken(userId, list))}`;
+
+// Lets mail clients show their own unsubscribe button (one-click POST, RFC 8058)
+const unsubscribeHeaders = (url) => ({
+    'List-Unsubscribe': `<${url}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+});
+
+module.exports = {
+    EMAIL_LISTS,
+    EMAIL_NOT_CONFIGURED,
+    isEmailConfigured,
+    sendEmail,
+    unsubscribeToken,
+    verifyUnsubscribeToken,
+    unsubscribeUrl,
+    unsubscribeHeaders
+};
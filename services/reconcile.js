@@ -0,0 +1,26 @@
+const { calculateStreak } = require('../utils/streak');
+const { applyDueIncrements } = require('../utils/reps');
+
+// Brings stored streaks and rep targets up to date for one user's habits.
+// Stored streaks go stale when a day passes without a completion. Saves what changed
+// and returns how many habits were updated.
+const reconcileHabits = async (habits, timezone, now = new Date()) => {
+    let updated = 0;
+    await Promise.all(habits.map(async (h) => {
+        const realStreak = calculateStreak(h.completedDates, timezone, h.schedule, now);
+        let changed = applyDueIncrements(h, now);
+
+        // If DB value is stale, update it
+        if (h.currentStreak !== realStreak) {
+            h.currentStreak = realStreak;
+            changed = true;
+        }
+        if (changed) {
+            await h.save();
+            updated++;
+        }
+    }));
+    return updated;
+};
+
+module.exports = { reconcileHabits };
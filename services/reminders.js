@@ -0,0 +1,121 @@
+const Habit = require('../models/Habit');
+const User = require('../models/User');
+const { isEmailConfigured, sendEmail, unsubscribeUrl, unsubscribeHeaders } = require('./mailer');
+const { reminderEmail } = require('../utils/emailTemplates');
+const { toLocalDateString, toLocalTimeString } = require('../utils/dates');
+const { isScheduledDay } = require('../utils/schedule');
+
+// --- HABIT REMINDERS ---
+// Each run emails every user whose reminder times have passed (local time) for habits
+// still open today. One email per user per run, at most one reminder per habit per day,
+// nothing during quiet hours and no more than the user's daily cap.
+
+// Battles that haven't started (or are over) don't need reminding
+const INACTIVE_BATTLE_STATUSES = ['pending', 'accepted', 'waiting', 'rejected', 'completed'];
+
+// Quiet hours may wrap midnight (22:00 -> 07:00). Equal start and end means none.
+const inQuietHours = (time, start, end) => {
+    if (!start || !end || start === end) return false;
+    return start < end ? time >= start && time < end : time >= start || time < end;
+};
+
+// Habits whose reminder should go out now, for one user's local day and time
+const dueHabits = (habits, todayStr, timeStr) => habits.filter(h =>
+    h.reminderTime <= timeStr &&
+    h.lastRemindedOn !== todayStr &&
+    !h.completedDates.includes(todayStr) &&
+    isScheduledDay(h.schedule, todayStr)
+);
+
+// Takes one of today's reminder slots. False when the cap is already used up.
+const claimReminderSlot = async (user, todayStr) => {
+    const cap = user.reminders?.dailyCap ?? 3;
+    const newDay = await User.updateOne(
+        { _id: user._id, 'reminderLog.date': { $ne: todayStr } },
+        { $set: { reminderLog: { date: todayStr, count: 1 } } }
+    );
+    if (newDay.modifiedCount > 0) return true;
+
+    const sameDay = await User.updateOne(
+        { _id: user._id, 'reminderLog.date': todayStr, 'reminderLog.count': { $lt: cap } },
+        { $inc: { 'reminderLog.count': 1 } }
+    );
+    return sameDay.modifiedCount > 0;
+};
+
+// Marks habits as reminded today. Returns the ones this run claimed (another run may have beaten us).
+const claimHabits = async (habits, todayStr) => {
+    const claimed = [];
+    for (const habit of habits) {
+        const result = await Habit.updateOne(
+            { _id: habit._id, lastRemindedOn: { $ne: todayStr } },
+            { $set: { lastRemindedOn: todayStr } }
+        );
+        if (result.modifiedCount > 0) claimed.push(habit);
+    }
+    return claimed;
+};
+
+// Reminds one user about their due habits. Returns 'sent' or why nothing was sent.
+const remindUser = async (user, habits, now) => {
+    if (!user.reminders?.enabled) return 'disabled';
+    const todayStr = toLocalDateString(now, user.timezone);
+    const timeStr = toLocalTimeString(now, user.timezone);
+
+    if (inQuietHours(timeStr, user.reminders.quietHoursStart, user.reminders.quietHoursEnd)) return 'quiet';
+    if (user.reminderLog?.date === todayStr && user.reminderLog.count >= user.reminders.dailyCap) return 'capped';
+
+    const due = dueHabits(habits, todayStr, timeStr);
+    if (due.length === 0) return 'none_due';
+
+    const claimed = await claimHabits(due, todayStr);
+    if (claimed.length === 0) return 'none_due';
+    if (!(await claimReminderSlot(user, todayStr))) return 'capped';
+
+    const url = unsubscribeUrl(user._id, 'reminders');
+    const { subject, html, text } = reminderEmail({ firstName: user.firstName, habits: claimed, unsubscribeUrl: url });
+    await sendEmail({ to: user.email, subject, html, text, headers: unsubscribeHeaders(url) });
+    return 'sent';
+};
+
+// Sends every reminder that is due. Returns counts per outcome.
+// A failed send is counted and logged; the habits stay claimed so a broken address isn't retried all day.
+const dispatchReminders = async (now = new Date()) => {
+    if (!isEmailConfigured()) return { skipped: 'email not configured' }; // Don't claim habits we can't remind about
+    const habits = await Habit.find({
+        reminderTime: { $type: 'string' },
+        isVisible: { $ne: false },
+        battleStatus: { $nin: INACTIVE_BATTLE_STATUSES }
+    }, 'userId name reminderTime lastRemindedOn completedDates schedule currentStreak');
+
+    const byUser = new Map();
+    for (const habit of habits) {
+        const key = habit.userId.toString();
+        if (!byUser.has(key)) byUser.set(key, []);
+        byUser.get(key).push(habit);
+    }
+
+    const users = await User.find({
+        _id: { $in: [...byUser.keys()] },
+        'deletion.scheduledFor': null,
+        emailVerified: { $ne: false } // Never email an address nobody has confirmed
+    }, 'email firstName timezone reminders reminderLog');
+
+    const counts = { users: users.length, sent: 0, quiet: 0, capped: 0, failed: 0 };
+    for (const user of users) {
+        try {
+            const outcome = await remindUser(user, byUser.get(user._id.toString()), now);
+            if (outcome in counts) counts[outcome]++;
+        } catch (err) {
+            counts.failed++;
+            console.error(`Reminder for user ${user._id} failed:`, err.message);
+        }
+    }
+    return counts;
+};
+
+module.exports = {
+    inQuietHours,
+    dueHabits,
+    dispatchReminders
+};
@@ -0,0 +1,212 @@
+const { toLocalDateString, addDays, diffDays, dayOfWeek } = require('../utils/dates');
+const { isScheduledDay, startOfWeek } = require('../utils/schedule');
+const { calculateStreakOn, completionStats, streakRuns } = require('../utils/streak');
+
+// --- HABIT STATISTICS ---
+// Everything is computed from completedDates/completionLog in the owner's local days,
+// so every client renders the same numbers.
+
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DEFAULT_HEATMAP_DAYS = 365;
+const MAX_HEATMAP_DAYS = 730;
+const TREND_PERIODS = 12; // weeks / months of rate history
+
+const startOfMonth = (dateStr) => `${dateStr.slice(0, 7)}-01`;
+const nextMonth = (monthStart) => {
+    const [y, m] = monthStart.split('-').map(Number);
+    return m === 12 ? `${y + 1}-01-01` : `${y}-${String(m + 1).padStart(2, '0')}-01`;
+};
+const previousMonth = (monthStart) => {
+    const [y, m] = monthStart.split('-').map(Number);
+    return m === 1 ? `${y - 1}-12-01` : `${y}-${String(m - 1).padStart(2, '0')}-01`;
+};
+
+const clampHeatmapDays = (days) => Math.min(MAX_HEATMAP_DAYS, Math.max(1, parseInt(days, 10) || DEFAULT_HEATMAP_DAYS));
+
+// Local-day bounds of a habit's life so far
+const habitRange = (habit, timezone, now) => ({
+    createdStr: toLocalDateString(habit.createdAt || now, timezone),
+    todayStr: toLocalDateString(now, timezone)
+});
+
+// Rate for a period, clipped to the days the habit actually existed
+const periodStats = (habit, fromStr, toStr, createdStr) => {
+    const from = fromStr < createdStr ? createdStr : fromStr;
+    if (from > toStr) return { expected: 0, completed: 0, rate: null };
+    return completionStats(habit.completedDates, habit.schedule, from, toStr);
+};
+
+const weeklyRates = (habit, createdStr, todayStr) => {
+    const weeks = [];
+    let weekStart = startOfWeek(todayStr);
+    for (let i = 0; i < TREND_PERIODS; i++) {
+        const weekEnd = addDays(weekStart, 6) > todayStr ? todayStr : addDays(weekStart, 6);
+        weeks.unshift({ weekStart, ...periodStats(habit, weekStart, weekEnd, createdStr) });
+        weekStart = addDays(weekStart, -7);
+    }
+    return weeks;
+};
+
+const monthlyRates = (habit, createdStr, todayStr) => {
+    const months = [];
+    let monthStart = startOfMonth(todayStr);
+    for (let i = 0; i < TREND_PERIODS; i++) {
+        const monthEnd = addDays(nextMonth(monthStart), -1);
+        const end = monthEnd > todayStr ? todayStr : monthEnd;
+        months.unshift({ month: monthStart.slice(0, 7), ...periodStats(habit, monthStart, end, createdStr) });
+        monthStart = previousMonth(monthStart);
+    }
+    return months;
+};
+
+// Completions vs. scheduled occurrences for each day of the week.
+// Occurrences are counted arithmetically, so the cost doesn't grow with how long the habit has existed.
+const weekdayCounts = (habit, createdStr, todayStr) => {
+    const span = diffDays(createdStr, todayStr) + 1;
+    const firstWeekday = dayOfWeek(createdStr);
+    const counts = WEEKDAY_NAMES.map((_, weekday) => {
+        if (span <= 0) return { expected: 0, completed: 0 };
+        // Day offset of this weekday's first occurrence in the range
+        const offset = (weekday - firstWeekday + 7) % 7;
+        const occurrences = offset < span ? Math.floor((span - 1 - offset) / 7) + 1 : 0;
+        return { expected: occurrences, completed: 0 };
+    });
+
+    // Sample one date per weekday to see which weekdays the schedule uses
+    for (let i = 0; i < 7; i++) {
+        const day = addDays(createdStr, i);
+        if (!isScheduledDay(habit.schedule, day)) counts[dayOfWeek(day)].expected = 0;
+    }
+
+    for (const day of new Set(habit.completedDates || [])) {
+        if (day < createdStr || day > todayStr || !isScheduledDay(habit.schedule, day)) continue;
+        counts[dayOfWeek(day)].completed++;
+    }
+    return counts;
+};
+
+const summarizeWeekdays = (counts) => {
+    const weekdays = counts.map((c, i) => ({
+        day: WEEKDAY_NAMES[i],
+        ...c,
+        rate: c.expected > 0 ? Math.round((c.completed / c.expected) * 100) : null
+    }));
+
+    const ranked = weekdays.filter(w => w.rate !== null).sort((a, b) => b.rate - a.rate);
+    return {
+        weekdays,
+        bestWeekday: ranked[0]?.day || null,
+        worstWeekday: ranked[ranked.length - 1]?.day || null
+    };
+};
+
+// Totals from the quantity log (rep-based habits only)
+const repTotals = (habit) => {
+    if (!habit.isRepBased) return null;
+
+    const byMonth = {};
+    let total = 0;
+    let bestDay = null;
+    for (const entry of habit.completionLog || []) {
+        total += entry.quantity || 0;
+        const month = entry.date.slice(0, 7);
+        byMonth[month] = (byMonth[month] || 0) + (entry.quantity || 0);
+        if (!bestDay || entry.quantity > bestDay.quantity) bestDay = { date: entry.date, quantity: entry.quantity };
+    }
+    return { unit: habit.repUnit, currentTarget: habit.reps, total, byMonth, bestDay };
+};
+
+const habitStats = (habit, timezone, { days, now = new Date() } = {}) => {
+    const { createdStr, todayStr } = habitRange(habit, timezone, now);
+    const heatmapStart = addDays(todayStr, -(clampHeatmapDays(days) - 1));
+
+    const done = new Set(habit.completedDates || []);
+    const quantities = new Map((habit.completionLog || []).map(e => [e.date, e.quantity]));
+    const heatmap = [];
+    for (let day = heatmapStart; day <= todayStr; day = addDays(day, 1)) {
+        heatmap.push({
+            date: day,
+            completed: done.has(day),
+            scheduled: day >= createdStr && isScheduledDay(habit.schedule, day),
+            quantity: quantities.get(day) || 0
+        });
+    }
+
+    // Linear in the history (utils/streak.js streakLengths), so long imported histories stay cheap per request
+    const history = streakRuns(habit.completedDates, habit.schedule, todayStr);
+    return {
+        habitId: habit._id,
+        name: habit.name,
+        overall: completionStats(habit.completedDates, habit.schedule, createdStr, todayStr),
+        totalCompletions: done.size,
+        daysTracked: diffDays(createdStr, todayStr) + 1,
+        heatmap,
+        weekly: weeklyRates(habit, createdStr, todayStr),
+        monthly: monthlyRates(habit, createdStr, todayStr),
+        ...summarizeWeekdays(weekdayCounts(habit, createdStr, todayStr)),
+        streaks: {
+            current: calculateStreakOn(habit.completedDates, habit.schedule, todayStr),
+            longest: history[0]?.length || 0,
+            history: history.slice(0, 10)
+        },
+        reps: repTotals(habit)
+    };
+};
+
+// Sums a list of { expected, completed } buckets into one rate
+const combine = (buckets) => {
+    const expected = buckets.reduce((sum, b) => sum + b.expected, 0);
+    const completed = buckets.reduce((sum, b) => sum + b.completed, 0);
+    return { expected, completed, rate: expected > 0 ? Math.round((completed / expected) * 100) : null };
+};
+
+// Aggregate across all of a user's habits.
+// hideHabitNames blanks names (as the activity feed does) for friends of users who turned showHabitNames off.
+const userStats = (habits, timezone, { hideHabitNames = false, ...options } = {}) => {
+    const perHabit = habits.map(h => habitStats(h, timezone, options));
+    const nameOf = (s) => (hideHabitNames ? null : s.name);
+
+    // Heatmap cells count how many habits were completed that day
+    const heatmap = (perHabit[0]?.heatmap || []).map((cell, i) => ({
+        date: cell.date,
+        completed: perHabit.filter(s => s.heatmap[i].completed).length,
+        scheduled: perHabit.filter(s => s.heatmap[i].scheduled).length
+    }));
+
+    const weekdayTotals = WEEKDAY_NAMES.map((_, i) => combine(perHabit.map(s => s.weekdays[i])));
+
+    const repsByUnit = {};
+    for (const s of perHabit) {
+        if (!s.reps) continue;
+        repsByUnit[s.reps.unit] = (repsByUnit[s.reps.unit] || 0) + s.reps.total;
+    }
+
+    const longest = perHabit.reduce((best, s) => (s.streaks.longest > (best?.streaks.longest || 0) ? s : best), null);
+
+    return {
+        totalHabits: habits.length,
+        overall: combine(perHabit.map(s => s.overall)),
+        totalCompletions: perHabit.reduce((sum, s) => sum + s.totalCompletions, 0),
+        heatmap,
+        weekly: (perHabit[0]?.weekly || []).map((w, i) => ({
+            weekStart: w.weekStart,
+            ...combine(perHabit.map(s => s.weekly[i]))
+        })),
+        monthly: (perHabit[0]?.monthly || []).map((m, i) => ({
+            month: m.month,
+            ...combine(perHabit.map(s => s.monthly[i]))
+        })),
+        ...summarizeWeekdays(weekdayTotals),
+        longestStreak: longest ? { habitId: longest.habitId, name: nameOf(longest), length: longest.streaks.longest } : null,
+        repsByUnit,
+        habits: perHabit.map(s => ({
+            habitId: s.habitId,
+            name: nameOf(s),
+            rate: s.overall.rate,
+            currentStreak: s.streaks.current,
+            longestStreak: s.streaks.longest
+        }))
+    };
+};
+
+module.exports = { habitStats, userStats };
@@ -0,0 +1,118 @@
+const User = require('../models/User');
+const XpTransaction = require('../models/XpTransaction');
+const { LEVEL_THRESHOLDS, calculateLevel } = require('../utils/levels');
+const { recordActivity } = require('./activity');
+const { weeklyXpExpression } = require('./leaderboards');
+
+const MAX_APPLY_ATTEMPTS = 5;
+
+// Update pipeline adding `applied` to platformXp, weeklyXp and (never downward) level in one atomic write
+const xpUpdate = (applied, now) => [
+    { $set: { platformXp: { $add: [{ $ifNull: ['$platformXp', 0] }, applied] }, weeklyXp: weeklyXpExpression(applied, now) } },
+    {
+        $set: {
+            // Level is permanent once earned, so XP loss never drops it
+            level: {
+                $max: [
+                    { $ifNull: ['$level', 1] },
+                    { $add: [1, { $size: { $filter: { input: LEVEL_THRESHOLDS.slice(1), cond: { $lte: ['$$this', '$platformXp'] } } } }] }
+                ]
+            }
+        }
+    }
+];
+
+// Applies the change atomically and returns { applied, doc } (doc = user after the write, or null).
+// XP is clamped at 0: a loss bigger than the balance only takes the balance, matched on the exact
+// balance read so a concurrent change makes us retry instead of overwriting it.
+const writeXp = async (userId, amount, now) => {
+    const options = { returnDocument: 'after', updatePipeline: true, projection: 'platformXp level weeklyXp' };
+    for (let attempt = 0; attempt < MAX_APPLY_ATTEMPTS; attempt++) {
+        const filter = amount >= 0 ? { _id: userId } : { _id: userId, platformXp: { $gte: -amount } };
+        const doc = await User.findOneAndUpdate(filter, xpUpdate(amount, now), options);
+        if (doc) return { applied: amount, doc };
+
+        const current = await User.findById(userId, 'platformXp').lean();
+        if (!current) return { applied: 0, doc: null };
+        const balance = current.platformXp || 0;
+        if (balance >= -amount) continue; // Balance went up in between; the full loss fits now
+        if (balance === 0) return { applied: 0, doc: null };
+
+        const clamped = await User.findOneAndUpdate({ _id: userId, platformXp: balance }, xpUpdate(-balance, now), options);
+        if (clamped) return { applied: -balance, doc: clamped };
+    }
+    throw new Error(`Could not apply XP to user ${userId}: balance kept changing`);
+};
+
+// Accounts with XP from before the ledger get one opening 'adjustment' for that balance, so their
+// ledger sums to platformXp as well. The flag is claimed and the balance read in one write, ahead of
+// any change that is ledgered on its own, so the opening entry is written once and counts nothing twice.
+const openLedger = async (userId) => {
+    const before = await User.findOneAndUpdate(
+        { _id: userId, xpLedgerOpened: { $ne: true } },
+        { $set: { xpLedgerOpened: true } },
+        { returnDocument: 'before', projection: 'platformXp createdAt' }
+    );
+    if (!before?.platformXp) return;
+
+    await XpTransaction.create({
+        userId,
+        amount: before.platformXp,
+        reason: 'adjustment',
+        balanceAfter: before.platformXp,
+        createdAt: before.createdAt || new Date() // Sorts before everything earned since
+    });
+};
+
+// Single entry point for XP changes: updates platformXp/level/weeklyXp atomically and writes the ledger.
+// Accepts a loaded User document (its XP fields are refreshed from the write) or a user id.
+// Returns the ledger entry, or null if nothing changed.
+const applyXp = async (userOrId, amount, reason, source = {}) => {
+    if (!userOrId || !amount) return null;
+    const user = userOrId instanceof User ? userOrId : null;
+    const userId = user ? user._id : userOrId;
+
+    if (!user?.xpLedgerOpened) await openLedger(userId);
+    const { applied, doc } = await writeXp(userId, amount, new Date());
+    if (applied === 0) return null;
+
+    if (user) {
+        // Mirror the stored values without marking them modified, so a later save can't write stale XP
+        for (const field of ['platformXp', 'level', 'weeklyXp']) {
+            user.set(field, doc[field]);
+            user.unmarkModified(field);
+        }
+    }
+
+    // This change crossed a threshold (rather than landing back under a level kept from before)
+    if (applied > 0 && doc.level === calculateLevel(doc.platformXp) && doc.level > calculateLevel(doc.platformXp - applied)) {
+        await recordActivity(user || userId, 'level_up', { level: doc.level }, { dedupe: ['level'] });
+    }
+
+    return XpTransaction.create({
+        userId,
+        amount: applied,
+        reason,
+        balanceAfter: doc.platformXp,
+        habitId: source.habitId || null,
+        sharedGroupId: source.sharedGroupId || null,
+        date: source.date || null
+    });
+};
+
+// Paginated ledger, newest first. `before` and `beforeId` are the createdAt and _id of the last entry
+// on the previous page: entries often share a millisecond (a completion and its bonus), so _id breaks ties.
+const getXpHistory = (userId, { limit = 50, before, beforeId } = {}) => {
+    const query = { userId };
+    if (before && !Number.isNaN(Date.parse(before))) {
+        const createdAt = new Date(before);
+        query.$or = [{ createdAt: { $lt: createdAt } }];
+        if (beforeId) query.$or.push({ createdAt, _id: { $lt: beforeId } });
+    }
+
+    return XpTransaction.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(Math.min(Math.max(1, limit), 200));
+};
+
+module.exports = { applyXp, getXpHistory };
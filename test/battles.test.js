@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Habit = require('../models/Habit');
+const {
+    BATTLE_XP, GROUP_BATTLE_XP, GROUP_BATTLE_LOSS_XP, rankByScore, battlePayout, acceptBattleInvite, declineBattleInvite, withdrawFromBattle
+} = require('../services/battles');
+
+const placements = (scores) => rankByScore(scores.map(score => ({ score }))).map(p => [p.score, p.placement]);
+
+test('rankByScore orders by score and ties share a placement', () => {
+    assert.deepEqual(placements([3, 5, 1]), [[5, 1], [3, 2], [1, 3]]);
+    // Competition ranking: after two players tied for 1st comes 3rd
+    assert.deepEqual(placements([4, 7, 7, 2]), [[7, 1], [7, 1], [4, 3], [2, 4]]);
+    assert.deepEqual(placements([6, 3, 3]), [[6, 1], [3, 2], [3, 2]]);
+});
+
+test('rankByScore puts everyone first when nobody scored', () => {
+    assert.deepEqual(placements([0, 0, 0]), [[0, 1], [0, 1], [0, 1]]);
+});
+
+test('battlePayout keeps win/loss/draw for one-on-one battles', () => {
+    assert.deepEqual(battlePayout(1, false, 2), { amount: BATTLE_XP.win, reason: 'battle_won' });
+    assert.deepEqual(battlePayout(2, false, 2), { amount: BATTLE_XP.loss, reason: 'battle_lost' });
+    // Both tied at the top, including 0-0
+    assert.deepEqual(battlePayout(1, true, 2), { amount: BATTLE_XP.draw, reason: 'battle_draw' });
+});
+
+test('battlePayout pays group battles by placement', () => {
+    assert.deepEqual(battlePayout(1, false, 4), { amount: GROUP_BATTLE_XP[0], reason: 'battle_won' });
+    assert.deepEqual(battlePayout(2, false, 4), { amount: GROUP_BATTLE_XP[1], reason: 'battle_placed' });
+    assert.deepEqual(battlePayout(3, false, 4), { amount: GROUP_BATTLE_XP[2], reason: 'battle_placed' });
+    assert.deepEqual(battlePayout(4, false, 4), { amount: GROUP_BATTLE_LOSS_XP, reason: 'battle_lost' });
+    // A shared first place still pays first-place XP, booked as a draw
+    assert.deepEqual(battlePayout(1, true, 4), { amount: GROUP_BATTLE_XP[0], reason: 'battle_draw' });
+});
+
+// The invite functions only count copies and update them; stub those calls and record the writes
+const stubHabits = (t, { open = 0, accepted = 0 } = {}) => {
+    const writes = [];
+    t.mock.method(Habit, 'countDocuments', async (filter) => (filter.battleStatus === 'accepted' ? accepted : open));
+    for (const method of ['deleteOne', 'deleteMany', 'updateMany']) {
+        t.mock.method(Habit, method, async (filter, update) => {
+            writes.push([method, filter.battleStatus ?? null, update?.$set?.battleStatus ?? null]);
+        });
+    }
+    t.mock.method(Habit, 'findOneAndUpdate', async () => {
+        writes.push(['start']);
+        return {};
+    });
+    return writes;
+};
+
+const invite = (quorum) => ({ _id: 'copy', sharedGroupId: 'group', battleQuorum: quorum, save: async () => {} });
+
+test('declining keeps the battle on while the quorum can still be met', async (t) => {
+    const writes = stubHabits(t, { open: 2 });
+    assert.equal(await declineBattleInvite(invite(2)), false);
+    assert.deepEqual(writes, [['deleteOne', null, null]]);
+});
+
+test('declining calls the battle off once the quorum is out of reach', async (t) => {
+    const writes = stubHabits(t, { open: 1 });
+    assert.equal(await declineBattleInvite(invite(2)), true);
+    assert.deepEqual(writes, [
+        ['deleteOne', null, null],
+        ['deleteMany', 'pending', null], // Open invites are withdrawn
+        ['updateMany', { $in: ['waiting', 'accepted'] }, 'rejected'] // Creator and accepted copies are marked rejected
+    ]);
+});
+
+test('accepting starts the battle only when the quorum is met', async (t) => {
+    const below = stubHabits(t, { accepted: 1 });
+    assert.equal(await acceptBattleInvite(invite(2)), false);
+    assert.deepEqual(below, []);
+
+    t.mock.restoreAll();
+    const met = stubHabits(t, { accepted: 2 });
+    assert.equal(await acceptBattleInvite(invite(2)), true);
+    assert.deepEqual(met[0], ['start']);
+});
+
+test('an accepted invitee can leave before the battle starts', async (t) => {
+    const writes = stubHabits(t, { open: 2 });
+    assert.equal(await withdrawFromBattle({ ...invite(2), battleStatus: 'accepted' }), null);
+    assert.deepEqual(writes, [['deleteOne', null, null]]);
+});
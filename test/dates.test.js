@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toLocalDateString, startOfLocalDay, endOfLocalPeriod } = require('../utils/dates');
+
+// Local date and wall-clock time of an instant, for readable assertions
+const local = (instant, timezone) => new Intl.DateTimeFormat('sv-SE', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+}).format(instant);
+
+test('toLocalDateString uses the local calendar day', () => {
+    const instant = new Date('2026-03-29T22:30:00Z');
+    assert.equal(toLocalDateString(instant, 'UTC'), '2026-03-29');
+    assert.equal(toLocalDateString(instant, 'Europe/Berlin'), '2026-03-30'); // 00:30 CEST
+    assert.equal(toLocalDateString(instant, 'America/New_York'), '2026-03-29');
+});
+
+test('toLocalDateString around the Europe/Berlin switches', () => {
+    // Spring forward 2026-03-29 02:00 -> 03:00
+    assert.equal(toLocalDateString(new Date('2026-03-28T22:59:59Z'), 'Europe/Berlin'), '2026-03-28');
+    assert.equal(toLocalDateString(new Date('2026-03-28T23:00:00Z'), 'Europe/Berlin'), '2026-03-29');
+    // Fall back 2026-10-25 03:00 -> 02:00
+    assert.equal(toLocalDateString(new Date('2026-10-24T21:59:59Z'), 'Europe/Berlin'), '2026-10-24');
+    assert.equal(toLocalDateString(new Date('2026-10-24T22:00:00Z'), 'Europe/Berlin'), '2026-10-25');
+});
+
+test('toLocalDateString falls back to UTC for unknown timezones', () => {
+    assert.equal(toLocalDateString(new Date('2026-01-01T23:30:00Z'), 'Not/AZone'), '2026-01-01');
+});
+
+test('startOfLocalDay is local midnight on DST switch days', () => {
+    assert.equal(startOfLocalDay('2026-03-29', 'Europe/Berlin').toISOString(), '2026-03-28T23:00:00.000Z');
+    assert.equal(startOfLocalDay('2026-10-25', 'Europe/Berlin').toISOString(), '2026-10-24T22:00:00.000Z');
+    assert.equal(startOfLocalDay('2026-03-08', 'America/New_York').toISOString(), '2026-03-08T05:00:00.000Z');
+    assert.equal(startOfLocalDay('2026-11-01', 'America/New_York').toISOString(), '2026-11-01T04:00:00.000Z');
+});
+
+test('startOfLocalDay is the first instant of the day when DST skips midnight', () => {
+    // America/Santiago jumps from 00:00 to 01:00 on 2026-09-06
+    const santiago = startOfLocalDay('2026-09-06', 'America/Santiago');
+    assert.equal(santiago.toISOString(), '2026-09-06T04:00:00.000Z');
+    assert.equal(local(santiago, 'America/Santiago'), '2026-09-06 01:00');
+    assert.equal(toLocalDateString(new Date(santiago - 1), 'America/Santiago'), '2026-09-05');
+
+    const havana = startOfLocalDay('2026-03-08', 'America/Havana');
+    assert.equal(local(havana, 'America/Havana'), '2026-03-08 01:00');
+    assert.equal(toLocalDateString(new Date(havana - 1), 'America/Havana'), '2026-03-07');
+});
+
+test('startOfLocalDay when DST ends at midnight', () => {
+    // America/Santiago turns 00:00 on 2026-04-05 back into 23:00 on the 4th, so the 5th starts an hour later
+    const start = startOfLocalDay('2026-04-05', 'America/Santiago');
+    assert.equal(start.toISOString(), '2026-04-05T04:00:00.000Z');
+    assert.equal(toLocalDateString(new Date(start - 1), 'America/Santiago'), '2026-04-04');
+});
+
+test('endOfLocalPeriod spans local days across DST switches', () => {
+    // 7 days from Wednesday 2026-03-25 10:00 Berlin ends at local midnight after 2026-03-31 (23 hour day inside)
+    const berlin = endOfLocalPeriod(new Date('2026-03-25T09:00:00Z'), 7, 'Europe/Berlin');
+    assert.equal(local(berlin, 'Europe/Berlin'), '2026-04-01 00:00');
+
+    const newYork = endOfLocalPeriod(new Date('2026-10-30T16:00:00Z'), 3, 'America/New_York');
+    assert.equal(newYork.toISOString(), '2026-11-02T05:00:00.000Z'); // EST after the switch
+
+    // Ends on the day DST skips midnight: the first instant of that day
+    const santiago = endOfLocalPeriod(new Date('2026-09-01T15:00:00Z'), 5, 'America/Santiago');
+    assert.equal(santiago.toISOString(), '2026-09-06T04:00:00.000Z');
+});
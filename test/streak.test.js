@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateStreak, calculateStreakOn, streakRuns } = require('../utils/streak');
+
+const days = (from, count) => Array.from({ length: count }, (_, i) => {
+    const d = new Date(`${from}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + i);
+    return d.toISOString().slice(0, 10);
+});
+
+test('calculateStreak counts consecutive local days', () => {
+    const dates = days('2026-03-25', 5); // 25..29
+    assert.equal(calculateStreak(dates, 'UTC', undefined, new Date('2026-03-29T12:00:00Z')), 5);
+    // Today not done yet doesn't break it
+    assert.equal(calculateStreak(dates, 'UTC', undefined, new Date('2026-03-30T12:00:00Z')), 5);
+    // Missing yesterday does
+    assert.equal(calculateStreak(dates, 'UTC', undefined, new Date('2026-03-31T12:00:00Z')), 0);
+});
+
+test('calculateStreak uses the user timezone for "today"', () => {
+    const dates = days('2026-03-26', 3); // 26..28
+    const now = new Date('2026-03-29T23:30:00Z');
+    // UTC: still the 29th, yesterday was done
+    assert.equal(calculateStreak(dates, 'UTC', undefined, now), 3);
+    // Berlin: already 01:30 on the 30th (CEST), the 29th was missed
+    assert.equal(calculateStreak(dates, 'Europe/Berlin', undefined, now), 0);
+});
+
+test('calculateStreak keeps whole days across DST switches', () => {
+    // The 23 hour (spring) and 25 hour (fall) days still count once
+    const spring = days('2026-03-27', 5); // includes 2026-03-29 Berlin switch
+    assert.equal(calculateStreak(spring, 'Europe/Berlin', undefined, new Date('2026-03-31T21:00:00Z')), 5);
+
+    const fall = days('2026-10-30', 4); // includes 2026-11-01 New York switch
+    assert.equal(calculateStreak(fall, 'America/New_York', undefined, new Date('2026-11-03T04:30:00Z')), 4);
+
+    // Santiago skips midnight on 2026-09-06: 00:30 local doesn't exist, 04:30Z is 01:30 on the 6th
+    const santiago = days('2026-09-03', 3); // 3..5
+    assert.equal(calculateStreak(santiago, 'America/Santiago', undefined, new Date('2026-09-06T04:30:00Z')), 3);
+    assert.equal(calculateStreak(santiago, 'America/Santiago', undefined, new Date('2026-09-07T04:30:00Z')), 0);
+});
+
+test('calculateStreak follows the schedule', () => {
+    const weekdays = { kind: 'weekdays', days: [1, 3, 5] };
+    // Mon 2026-03-23, Wed 25, Fri 27, Mon 30: rest days don't break it
+    const dates = ['2026-03-23', '2026-03-25', '2026-03-27', '2026-03-30'];
+    assert.equal(calculateStreakOn(dates, weekdays, '2026-03-31'), 4);
+    assert.equal(calculateStreakOn(dates, weekdays, '2026-04-02'), 0); // Missed Wed 04-01
+
+    const interval = { kind: 'interval', everyDays: 2 };
+    assert.equal(calculateStreakOn(['2026-03-20', '2026-03-22', '2026-03-24'], interval, '2026-03-26'), 3);
+    assert.equal(calculateStreakOn(['2026-03-20', '2026-03-22', '2026-03-24'], interval, '2026-03-27'), 0);
+});
+
+test('streakRuns matches the streak as of each completion', () => {
+    const dates = [...days('2026-01-01', 4), ...days('2026-01-10', 6), '2026-01-20'];
+    assert.deepEqual(streakRuns(dates, undefined, '2026-02-01'), [
+        { length: 6, startDate: '2026-01-10', endDate: '2026-01-15' },
+        { length: 4, startDate: '2026-01-01', endDate: '2026-01-04' },
+        { length: 1, startDate: '2026-01-20', endDate: '2026-01-20' }
+    ]);
+
+    const schedules = [undefined, { kind: 'weekdays', days: [2, 4] }, { kind: 'timesPerWeek', timesPerWeek: 2 }, { kind: 'interval', everyDays: 3 }];
+    const history = days('2026-01-01', 90).filter((_, i) => i % 5 !== 0 && i % 7 !== 3);
+    for (const schedule of schedules) {
+        for (const run of streakRuns(history, schedule, '2026-04-30')) {
+            assert.equal(calculateStreakOn(history, schedule, run.endDate), run.length);
+        }
+    }
+});
+
+test('streakRuns splits a long history at every gap', () => {
+    // ~27 years of daily check-ins, skipping one day in every 100
+    const history = days('2000-01-01', 10000).filter((_, i) => i % 100 !== 99);
+    const runs = streakRuns(history, undefined, '2030-01-01');
+    assert.equal(runs.length, 100);
+    assert.ok(runs.every(run => run.length === 99));
+    assert.equal(runs.reduce((sum, run) => sum + run.length, 0), history.length);
+    assert.deepEqual(runs[runs.length - 1], { length: 99, startDate: history[0], endDate: history[98] });
+});
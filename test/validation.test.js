@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { string, number, boolean, oneOf, date, array, object, runSchema } = require('../utils/validation');
+
+test('object() keeps only declared keys', () => {
+    const schema = object({ name: string(), color: string().optional() });
+    const { value, errors } = runSchema(schema, { name: 'Run', isAdmin: true, userId: 'someone-else' }, 'body');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, { name: 'Run' });
+});
+
+test('object() whitelists nested objects too', () => {
+    const schema = object({ privacy: object({ shareActivity: boolean().optional() }).optional() });
+    const { value } = runSchema(schema, { privacy: { shareActivity: false, tokenVersion: 0 } }, 'body');
+    assert.deepEqual(value, { privacy: { shareActivity: false } });
+});
+
+test('numbers and booleans accept their string forms (query params)', () => {
+    const schema = object({ limit: number({ integer: true, min: 1 }), dryRun: boolean() });
+    assert.deepEqual(runSchema(schema, { limit: '20', dryRun: 'true' }, 'query').value, { limit: 20, dryRun: true });
+    assert.deepEqual(runSchema(schema, { limit: 5, dryRun: 'false' }, 'query').value, { limit: 5, dryRun: false });
+});
+
+test('coercion stops at values that only look close', () => {
+    const schema = object({ limit: number({ integer: true }), dryRun: boolean() });
+    const { value, errors } = runSchema(schema, { limit: '2.5', dryRun: 'yes' }, 'query');
+    assert.equal(value, undefined);
+    assert.deepEqual(errors, [
+        { field: 'query.limit', message: 'must be a whole number' },
+        { field: 'query.dryRun', message: 'must be true or false' }
+    ]);
+    assert.deepEqual(runSchema(schema, { limit: '', dryRun: true }, 'query').errors,
+        [{ field: 'query.limit', message: 'must be a number' }]);
+});
+
+test('strings are trimmed and length-checked after trimming', () => {
+    const schema = object({ name: string({ min: 1, max: 5 }) });
+    assert.deepEqual(runSchema(schema, { name: '  Run  ' }, 'body').value, { name: 'Run' });
+    assert.deepEqual(runSchema(schema, { name: '   ' }, 'body').errors, [{ field: 'body.name', message: 'must not be empty' }]);
+    assert.deepEqual(runSchema(schema, { name: 42 }, 'body').errors, [{ field: 'body.name', message: 'must be a string' }]);
+});
+
+test('required, optional and nullable fields', () => {
+    const schema = object({ date: date(), reminderTime: string().nullable().optional(), note: string().optional() });
+    assert.deepEqual(runSchema(schema, {}, 'body').errors, [{ field: 'body.date', message: 'is required' }]);
+    assert.deepEqual(runSchema(schema, { date: '2026-10-19', reminderTime: null }, 'body').value,
+        { date: '2026-10-19', reminderTime: null });
+    assert.deepEqual(runSchema(schema, { date: '2026-10-19', note: null }, 'body').errors,
+        [{ field: 'body.note', message: 'must not be null' }]);
+});
+
+test('array items are checked with their index in the field path', () => {
+    const schema = object({ days: array(number({ min: 0, max: 6 }), { max: 7 }), kind: oneOf(['daily', 'weekdays']) });
+    assert.deepEqual(runSchema(schema, { days: ['1', 3], kind: 'weekdays' }, 'body').value, { days: [1, 3], kind: 'weekdays' });
+    assert.deepEqual(runSchema(schema, { days: [1, 9], kind: 'weekly' }, 'body').errors, [
+        { field: 'body.days[1]', message: 'must be at most 6' },
+        { field: 'body.kind', message: 'must be one of: daily, weekdays' }
+    ]);
+});
+
+test('refine() adds cross-field errors once the fields themselves are valid', () => {
+    const schema = object({ from: date(), to: date() }, { refine: v => (v.from > v.to ? 'from must not be after to' : null) });
+    assert.deepEqual(runSchema(schema, { from: '2026-10-19', to: '2026-10-01' }, 'query').errors,
+        [{ field: 'query', message: 'from must not be after to' }]);
+});
+
+test('a missing body validates as an empty object', () => {
+    assert.deepEqual(runSchema(object({ note: string().optional() }), undefined, 'body'), { value: {}, errors: [] });
+});
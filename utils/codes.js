@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+const { requireSecret } = require('./env');
+
+// --- ONE-TIME CODES ---
+// Short numeric codes (password reset, email verification) are stored as HMACs keyed with
+// a server secret, so a database leak alone isn't enough to brute-force them offline.
+// The same secret signs unsubscribe links (services/mailer.js).
+
+const CODE_SECRET = requireSecret('CODE_SECRET', process.env.CODE_SECRET || process.env.JWT_SECRET, 'monster-dev-code-secret');
+
+const generateCode = (digits = 6) => crypto.randomInt(10 ** (digits - 1), 10 ** digits).toString();
+
+// Bound to the user (and purpose) so the same code never hashes the same for two accounts
+const hashCode = (code, userId, purpose) =>
+    crypto.createHmac('sha256', CODE_SECRET).update(`${purpose}:${userId}:${code}`).digest('hex');
+
+const verifyCode = (code, hash, userId, purpose) => {
+    if (typeof code !== 'string' || !hash) return false;
+    const candidate = Buffer.from(hashCode(code.trim(), userId, purpose), 'hex');
+    const stored = Buffer.from(hash, 'hex');
+    return candidate.length === stored.length && crypto.timingSafeEqual(candidate, stored);
+};
+
+module.exports = { generateCode, hashCode, verifyCode };
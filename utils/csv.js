@@ -0,0 +1,60 @@
+// --- CSV (RFC 4180) ---
+
+const csvCell = (value) => {
+    const str = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const toCsv = (header, rows) =>
+    [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+
+// Parses CSV text into an array of rows (arrays of strings). Handles quoted fields,
+// escaped quotes, CRLF/LF line endings and a leading BOM. Blank lines are skipped.
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = String(text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (inQuotes) {
+            if (ch === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            if (row.some(f => f !== '')) rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+
+    row.push(field);
+    if (row.some(f => f !== '')) rows.push(row);
+    return rows;
+};
+
+// Rows as objects keyed by the (trimmed, lower-cased) header row
+const parseCsvObjects = (text) => {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+    const keys = header.map(h => h.trim().toLowerCase());
+    return rows.map(row => Object.fromEntries(keys.map((k, i) => [k, (row[i] ?? '').trim()])));
+};
+
+module.exports = { toCsv, parseCsv, parseCsvObjects };
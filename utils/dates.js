@@ -0,0 +1,128 @@
+// --- CALENDAR DAY HELPERS ---
+// Completions are stored as local "YYYY-MM-DD" strings. All day math happens on those
+// strings (via UTC arithmetic) so DST shifts never add or drop a day.
+
+const DEFAULT_TIMEZONE = 'UTC';
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Intl formatters are expensive to build, cache one per timezone
+const formatters = new Map();
+const getFormatter = (timezone) => {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timezone);
+};
+
+const isValidTimezone = (timezone) => {
+    if (typeof timezone !== 'string' || !timezone) return false;
+    try {
+        getFormatter(timezone);
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+const resolveTimezone = (timezone) => (isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE);
+
+// Wall-clock parts of an instant in the given timezone
+const getLocalParts = (date, timezone) => {
+    const parts = {};
+    for (const { type, value } of getFormatter(resolveTimezone(timezone)).formatToParts(date)) {
+        parts[type] = value;
+    }
+    return parts;
+};
+
+// "YYYY-MM-DD" for the calendar day an instant falls on in the given timezone
+const toLocalDateString = (date = new Date(), timezone) => {
+    const { year, month, day } = getLocalParts(new Date(date), timezone);
+    return `${year}-${month}-${day}`;
+};
+
+// "HH:MM" (24h) wall-clock time of an instant in the given timezone
+const toLocalTimeString = (date = new Date(), timezone) => {
+    const { hour, minute } = getLocalParts(new Date(date), timezone);
+    return `${hour}:${minute}`;
+};
+
+const isValidTimeString = (timeStr) => typeof timeStr === 'string' && TIME_RE.test(timeStr);
+
+const isValidDateString = (dateStr) => {
+    if (typeof dateStr !== 'string' || !DATE_RE.test(dateStr)) return false;
+    const [y, m, d] = dateStr.split('-').map(Number);
+    const date = new Date(Date.UTC(y, m - 1, d));
+    return date.getUTCFullYear() === y && date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+};
+
+// Hot paths (streaks, stats) call these per day of history, so they avoid split/toISOString
+const parseDateString = (dateStr) =>
+    Date.UTC(Number(dateStr.slice(0, 4)), Number(dateStr.slice(5, 7)) - 1, Number(dateStr.slice(8, 10)));
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+const formatUTCDate = (ms) => {
+    const date = new Date(ms);
+    return `${pad(date.getUTCFullYear(), 4)}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+};
+
+// Calendar arithmetic on "YYYY-MM-DD" strings
+const addDays = (dateStr, days) => formatUTCDate(parseDateString(dateStr) + days * DAY_MS);
+
+// Whole calendar days from a to b (positive when b is later)
+const diffDays = (a, b) => Math.round((parseDateString(b) - parseDateString(a)) / DAY_MS);
+
+// 0 = Sunday ... 6 = Saturday
+const dayOfWeek = (dateStr) => new Date(parseDateString(dateStr)).getUTCDay();
+
+// Offset (ms) of the timezone's wall clock from UTC at a given instant
+const getOffsetMs = (date, timezone) => {
+    const p = getLocalParts(date, timezone);
+    const asUTC = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+    return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The first instant of the given calendar day in the timezone. Usually local midnight; in zones
+// that start DST at midnight (America/Santiago, America/Havana) midnight is skipped and the day
+// starts at 01:00.
+const startOfLocalDay = (dateStr, timezone) => {
+    const utcMidnight = parseDateString(dateStr);
+    // Midnight under each offset in effect around that day. The earliest candidate that really
+    // falls on the date is the start: a skipped midnight lands on the previous day, and a
+    // repeated one resolves to its first occurrence.
+    const candidates = [utcMidnight - DAY_MS, utcMidnight, utcMidnight + DAY_MS]
+        .map(at => utcMidnight - getOffsetMs(new Date(at), timezone))
+        .filter(instant => toLocalDateString(instant, timezone) === dateStr);
+    return new Date(Math.min(...candidates));
+};
+
+// End of a window of `days` local calendar days, counting the day `start` falls on as day 1
+const endOfLocalPeriod = (start, days, timezone) =>
+    startOfLocalDay(addDays(toLocalDateString(start, timezone), days), timezone);
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isValidTimezone,
+    resolveTimezone,
+    toLocalDateString,
+    toLocalTimeString,
+    isValidDateString,
+    isValidTimeString,
+    addDays,
+    diffDays,
+    dayOfWeek,
+    startOfLocalDay,
+    endOfLocalPeriod
+};
@@ -0,0 +1,130 @@
+// --- EMAIL TEMPLATES ---
+// Monospace MONSTER branding shared by every email we send
+
+const escapeHtml = (text) => String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Black page with the MONSTER header and a bordered card holding `content` (trusted HTML)
+const brandedLayout = (content) => `
+            <div style="background-color: #000000; color: #ffffff; padding: 40px; font-family: monospace; text-align: center;">
+              <div style="margin-bottom: 40px;">
+                <h1 style="color: #ffffff; font-size: 48px; letter-spacing: 8px; margin: 0; font-weight: 900; text-shadow: 0 0 10px #ffffff;">MONSTER</h1>
+              </div>
+              <div style="background-color: #111111; padding: 40px; border-radius: 0px; border: 1px solid #333333; display: inline-block; max-width: 400px; width: 100%;">
+                ${content}
+              </div>
+            </div>
+            `;
+
+// One-time code email (password reset, email verification)
+const codeEmailHtml = ({ intro, code, footer }) => brandedLayout(`
+                <p style="color: #aaaaaa; font-size: 16px; margin-bottom: 30px; line-height: 1.5;">${escapeHtml(intro)}</p>
+                <div style="font-size: 42px; font-weight: bold; letter-spacing: 12px; color: #ffffff; margin: 30px 0; border: 2px solid #333; padding: 20px; background: #000;">${escapeHtml(code)}</div>
+                <p style="color: #555555; font-size: 12px; margin-top: 30px;">${escapeHtml(footer)}</p>`);
+
+// Plain-text alternative of codeEmailHtml
+const codeEmailText = ({ intro, code, footer }) => ['MONSTER', '', intro, '', code, '', footer].join('\n');
+
+// Small grey footer line with the list's unsubscribe link
+const unsubscribeFooterHtml = (url, label) => `
+                <p style="color: #555555; font-size: 12px; margin-top: 30px;"><a href="${escapeHtml(url)}" style="color: #555555;">${escapeHtml(label)}</a></p>`;
+
+// Habit reminder: the habits still open today. Returns { subject, html, text }.
+const reminderEmail = ({ firstName, habits, unsubscribeUrl }) => {
+    const subject = habits.length === 1
+        ? `Don't forget: ${habits[0].name}`
+        : `${habits.length} habits still waiting today`;
+    const streakNote = (h) => (h.currentStreak > 0 ? ` (${h.currentStreak}-day streak on the line)` : '');
+    const greeting = firstName ? `${firstName}, your` : 'Your';
+
+    const rows = habits.map(h => `
+                <div style="color: #ffffff; font-size: 16px; border: 1px solid #333; padding: 12px; margin: 10px 0; background: #000; text-align: left;">${escapeHtml(h.name)}<span style="color: #aaaaaa; font-size: 12px;">${escapeHtml(streakNote(h))}</span></div>`).join('');
+
+    const html = brandedLayout(`
+                <p style="color: #aaaaaa; font-size: 16px; margin-bottom: 30px; line-height: 1.5;">${escapeHtml(greeting)} monster is hungry. Still to do today:</p>${rows}${unsubscribeFooterHtml(unsubscribeUrl, 'STOP HABIT REMINDERS')}`);
+
+    const text = [
+        'MONSTER',
+        '',
+        `${greeting} monster is hungry. Still to do today:`,
+        ...habits.map(h => `- ${h.name}${streakNote(h)}`),
+        '',
+        `Stop habit reminders: ${unsubscribeUrl}`
+    ].join('\n');
+
+    return { subject, html, text };
+};
+
+// Weekly digest (services/digest.js): one card section per part of the week. Returns { subject, html, text }.
+const weeklyDigestEmail = ({ firstName, digest, unsubscribeUrl }) => {
+    const { weekStart, weekEnd, completed, expected, habits, streakChanges, xpGained, level, battles, overtakenBy } = digest;
+    const signed = (n) => (n > 0 ? `+${n}` : `${n}`);
+    const rate = expected > 0 ? Math.round((completed / expected) * 100) : 0;
+    const battleLine = (b) => `${b.name}: ${b.result.toUpperCase()}${b.placement ? ` (#${b.placement})` : ''}, ${signed(b.xp)} XP`;
+    const levelLine = level.nextXp === null
+        ? `Level ${level.level} (max). ${level.xp} XP`
+        : `Level ${level.level}. ${level.xp} / ${level.nextXp} XP (${level.xpToNext} to level ${level.level + 1})`;
+
+    // [title, lines] - empty sections are left out
+    const sections = [
+        ['THE WEEK', [
+            `${completed} of ${expected} scheduled days done (${rate}%)`,
+            ...habits.map(h => `${h.name}: ${h.completed}/${h.expected}`)
+        ]],
+        ['STREAKS', streakChanges.map(h => `${h.name}: ${h.streakBefore} -> ${h.streakAfter}`)],
+        ['XP', [`${signed(xpGained)} XP this week`, levelLine]],
+        ['BATTLES', battles.map(battleLine)],
+        ['FRIENDS WHO PASSED YOU', overtakenBy.map(f => `${[f.firstName, f.lastName].filter(Boolean).join(' ') || 'A friend'} (${f.platformXp} XP)`)]
+    ].filter(([, lines]) => lines.length > 0);
+
+    const subject = `Your Monster week: ${completed}/${expected} days, ${signed(xpGained)} XP`;
+    const intro = `${firstName ? `${firstName}, here's` : "Here's"} your week (${weekStart} to ${weekEnd}).`;
+
+    const progressBar = level.nextXp === null ? '' : `
+                <div style="border: 1px solid #333; background: #000; height: 12px; margin: 10px 0;"><div style="background: #ffffff; height: 12px; width: ${level.percent}%;"></div></div>`;
+    const sectionHtml = ([title, lines]) => `
+                <div style="border: 1px solid #333; padding: 16px; margin: 16px 0; background: #000; text-align: left;">
+                  <div style="color: #ffffff; font-size: 14px; font-weight: bold; letter-spacing: 4px; margin-bottom: 10px;">${escapeHtml(title)}</div>
+                  ${lines.map(line => `<div style="color: #aaaaaa; font-size: 14px; line-height: 1.6;">${escapeHtml(line)}</div>`).join('')}${title === 'XP' ? progressBar : ''}
+                </div>`;
+
+    const html = brandedLayout(`
+                <p style="color: #aaaaaa; font-size: 16px; margin-bottom: 30px; line-height: 1.5;">${escapeHtml(intro)}</p>${sections.map(sectionHtml).join('')}${unsubscribeFooterHtml(unsubscribeUrl, 'STOP WEEKLY SUMMARIES')}`);
+
+    const text = [
+        'MONSTER',
+        '',
+        intro,
+        ...sections.flatMap(([title, lines]) => ['', title, ...lines.map(line => `- ${line}`)]),
+        '',
+        `Stop weekly summaries: ${unsubscribeUrl}`
+    ].join('\n');
+
+    return { subject, html, text };
+};
+
+// Page behind the unsubscribe link. Nothing changes until the button is pressed, so link scanners
+// and mail-client prefetching can't unsubscribe anyone.
+const unsubscribeConfirmPageHtml = ({ label, action }) => brandedLayout(`
+                <p style="color: #aaaaaa; font-size: 16px; margin-bottom: 30px; line-height: 1.5;">Stop getting ${escapeHtml(label)} emails?</p>
+                <form method="POST" action="${escapeHtml(action)}">
+                  <button type="submit" style="background: #000; color: #ffffff; border: 2px solid #333; padding: 14px 28px; font-family: monospace; font-size: 16px; letter-spacing: 4px; cursor: pointer;">UNSUBSCRIBE</button>
+                </form>`);
+
+// Page shown after unsubscribing (or for a bad link)
+const unsubscribedPageHtml = (message) => brandedLayout(`
+                <p style="color: #aaaaaa; font-size: 16px; line-height: 1.5;">${escapeHtml(message)}</p>`);
+
+module.exports = {
+    escapeHtml,
+    brandedLayout,
+    codeEmailHtml,
+    codeEmailText,
+    reminderEmail,
+    weeklyDigestEmail,
+    unsubscribeConfirmPageHtml,
+    unsubscribedPageHtml
+};
@@ -0,0 +1,28 @@
+// --- ENVIRONMENT ---
+// Insecure conveniences (throwaway secrets, codes printed to the console) are only
+// allowed when NODE_ENV says this is a development or test run.
+
+const DEV_ENVS = ['development', 'test'];
+
+const isDevEnv = () => DEV_ENVS.includes(process.env.NODE_ENV);
+
+const notConfigured = (name) => new Error(`${name} is not configured. Set it, or run with NODE_ENV=development for local dev.`);
+
+// Returns the configured secret. Outside dev/test a missing secret stops the server from
+// starting, instead of silently signing with a string anyone can read in this repo.
+const requireSecret = (name, value, devFallback) => {
+    if (value) return value;
+    if (!isDevEnv()) throw notConfigured(name);
+    console.log(`⚠️ No ${name} configured. Using insecure development secret.`);
+    return devFallback;
+};
+
+// Same for settings whose dev default only makes sense locally, like the server's public URL:
+// in production a localhost fallback would quietly break every link built from it.
+const requireSetting = (name, devFallback) => {
+    if (process.env[name]) return process.env[name];
+    if (!isDevEnv()) throw notConfigured(name);
+    return devFallback;
+};
+
+module.exports = { isDevEnv, requireSecret, requireSetting };
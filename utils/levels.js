@@ -0,0 +1,27 @@
+// --- RPG HELPERS ---
+const LEVEL_THRESHOLDS = [0, 100, 300, 600, 1000, 1500, 2100, 2800, 3600, 5000, 10000, 20000];
+
+const calculateLevel = (xp) => {
+    let level = 1;
+    for (let i = 1; i < LEVEL_THRESHOLDS.length; i++) {
+        if (xp >= LEVEL_THRESHOLDS[i]) {
+            level = i + 1;
+        } else {
+            break;
+        }
+    }
+    return level;
+};
+
+// Progress from the user's level toward the next LEVEL_THRESHOLDS entry.
+// Levels are permanent, so XP below the current threshold shows as 0%. nextXp is null at the max level.
+const levelProgress = (xp, level = calculateLevel(xp)) => {
+    const currentXp = LEVEL_THRESHOLDS[level - 1] ?? LEVEL_THRESHOLDS[LEVEL_THRESHOLDS.length - 1];
+    const nextXp = LEVEL_THRESHOLDS[level] ?? null;
+    if (nextXp === null) return { level, xp, currentXp, nextXp, xpToNext: 0, percent: 100 };
+
+    const percent = Math.round(((xp - currentXp) / (nextXp - currentXp)) * 100);
+    return { level, xp, currentXp, nextXp, xpToNext: Math.max(0, nextXp - xp), percent: Math.min(100, Math.max(0, percent)) };
+};
+
+module.exports = { LEVEL_THRESHOLDS, calculateLevel, levelProgress };
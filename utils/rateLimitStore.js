@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const RateLimit = require('../models/RateLimit');
+
+// --- RATE LIMIT STORES ---
+// Both stores count hits per key in a fixed window: hit() returns { count, resetAt }.
+
+// MongoDB-backed store, shared by every serverless invocation
+const mongoStore = {
+    // One atomic upsert: a window that has expired (or doesn't exist yet) restarts at 1, a live one
+    // counts up. Concurrent first hits can't each start their own window and all read 1.
+    async hit(key, windowMs) {
+        const now = new Date();
+        const expired = { $lte: [{ $ifNull: ['$expiresAt', new Date(0)] }, now] };
+        const update = [{
+            $set: {
+                count: { $cond: [expired, 1, { $add: [{ $ifNull: ['$count', 0] }, 1] }] },
+                expiresAt: { $cond: [expired, new Date(now.getTime() + windowMs), '$expiresAt'] }
+            }
+        }];
+        const options = { upsert: true, returnDocument: 'after', updatePipeline: true };
+
+        let current;
+        try {
+            current = await RateLimit.findOneAndUpdate({ key }, update, options);
+        } catch (err) {
+            if (err.code !== 11000) throw err;
+            // Two upserts raced to create the window; the loser's retry finds it and counts up
+            current = await RateLimit.findOneAndUpdate({ key }, update, options);
+        }
+        return { count: current.count, resetAt: current.expiresAt };
+    },
+
+    async reset(key) {
+        await RateLimit.deleteOne({ key });
+    }
+};
+
+// In-memory store for local dev (per process only)
+const memoryWindows = new Map();
+const memoryStore = {
+    async hit(key, windowMs) {
+        const now = Date.now();
+        let entry = memoryWindows.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            memoryWindows.set(key, entry);
+        }
+        entry.count++;
+
+        // Opportunistic cleanup so the map can't grow forever
+        if (memoryWindows.size > 10000) {
+            for (const [k, v] of memoryWindows) if (v.resetAt <= now) memoryWindows.delete(k);
+        }
+        return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+
+    async reset(key) {
+        memoryWindows.delete(key);
+    }
+};
+
+// RATE_LIMIT_STORE=memory forces the in-memory store; otherwise MongoDB when connected
+const getStore = () => {
+    if (process.env.RATE_LIMIT_STORE === 'memory') return memoryStore;
+    return mongoose.connection.readyState === 1 ? mongoStore : memoryStore;
+};
+
+module.exports = { getStore, mongoStore, memoryStore };
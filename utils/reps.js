@@ -0,0 +1,60 @@
+// --- PROGRESSIVE OVERLOAD ---
+// Rep-based habits with repIncrement/repIncrementFrequency raise their target on a schedule.
+
+const INCREMENT_FREQUENCIES = ['weekly', 'monthly'];
+
+const isProgressive = (habit) =>
+    habit.isRepBased && habit.repIncrement > 0 && INCREMENT_FREQUENCIES.includes(habit.repIncrementFrequency);
+
+// Next increment date after `date`. Months clamp to their last day (Jan 31 -> Feb 28).
+const addPeriod = (date, frequency) => {
+    const next = new Date(date);
+    if (frequency === 'weekly') {
+        next.setUTCDate(next.getUTCDate() + 7);
+        return next;
+    }
+
+    const day = next.getUTCDate();
+    next.setUTCDate(1);
+    next.setUTCMonth(next.getUTCMonth() + 1);
+    const lastDay = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+    next.setUTCDate(Math.min(day, lastDay));
+    return next;
+};
+
+const recordRepChange = (habit, previousReps, reason, changedAt = new Date()) => {
+    habit.repHistory.push({ reps: habit.reps, previousReps, reason, changedAt });
+};
+
+// Starts the increment clock for a progressive habit that doesn't have one yet
+const scheduleFirstIncrement = (habit, now = new Date()) => {
+    if (!isProgressive(habit) || habit.nextIncrementDate) return false;
+    habit.nextIncrementDate = addPeriod(now, habit.repIncrementFrequency);
+    return true;
+};
+
+// Applies every increment that came due (catching up if the habit wasn't touched for a while).
+// Does not save; returns true if the habit changed.
+const applyDueIncrements = (habit, now = new Date()) => {
+    if (!isProgressive(habit)) return false;
+    if (scheduleFirstIncrement(habit, now)) return true;
+
+    let changed = false;
+    while (habit.nextIncrementDate <= now) {
+        const previousReps = habit.reps || 0;
+        habit.reps = previousReps + habit.repIncrement;
+        recordRepChange(habit, previousReps, 'increment', habit.nextIncrementDate);
+        habit.nextIncrementDate = addPeriod(habit.nextIncrementDate, habit.repIncrementFrequency);
+        changed = true;
+    }
+    return changed;
+};
+
+module.exports = {
+    INCREMENT_FREQUENCIES,
+    isProgressive,
+    addPeriod,
+    recordRepChange,
+    scheduleFirstIncrement,
+    applyDueIncrements
+};
@@ -0,0 +1,80 @@
+const { addDays, diffDays, dayOfWeek } = require('./dates');
+
+// --- HABIT SCHEDULES ---
+// kind: 'daily'        every day
+//       'weekdays'     specific days, e.g. days: [1, 3, 5] for Mon/Wed/Fri (0 = Sunday)
+//       'timesPerWeek' any N days per Monday-based week, e.g. timesPerWeek: 3
+//       'interval'     every N days, e.g. everyDays: 2 for every other day
+
+const SCHEDULE_KINDS = ['daily', 'weekdays', 'timesPerWeek', 'interval'];
+
+// Fill defaults so old habits (no schedule) behave as daily
+const normalizeSchedule = (schedule) => {
+    const kind = SCHEDULE_KINDS.includes(schedule?.kind) ? schedule.kind : 'daily';
+    return {
+        kind,
+        days: [...new Set(schedule?.days || [])].sort(),
+        timesPerWeek: schedule?.timesPerWeek || 1,
+        everyDays: schedule?.everyDays || 1
+    };
+};
+
+// Returns an error message, or null when the schedule is usable
+const validateSchedule = (schedule) => {
+    if (!schedule) return null;
+    if (schedule.kind && !SCHEDULE_KINDS.includes(schedule.kind)) return `Unknown schedule kind: ${schedule.kind}`;
+
+    const { kind, days, timesPerWeek, everyDays } = normalizeSchedule(schedule);
+    if (kind === 'weekdays') {
+        if (days.length === 0) return 'Weekday schedules need at least one day';
+        if (days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) return 'Schedule days must be 0 (Sun) to 6 (Sat)';
+    }
+    if (kind === 'timesPerWeek' && (!Number.isInteger(timesPerWeek) || timesPerWeek < 1 || timesPerWeek > 7)) {
+        return 'timesPerWeek must be between 1 and 7';
+    }
+    if (kind === 'interval' && (!Number.isInteger(everyDays) || everyDays < 1 || everyDays > 365)) {
+        return 'everyDays must be between 1 and 365';
+    }
+    return null;
+};
+
+// Whether a specific day is a scheduled day. Flexible schedules (timesPerWeek, interval)
+// have no fixed days, so every day is a valid day to complete them.
+const isScheduledDay = (schedule, dateStr) => {
+    if (schedule?.kind !== 'weekdays') return true; // Called per day of history, so no normalizeSchedule here
+    return (schedule.days || []).includes(dayOfWeek(dateStr));
+};
+
+// Monday of the week a date falls in
+const startOfWeek = (dateStr) => addDays(dateStr, -((dayOfWeek(dateStr) + 6) % 7));
+
+// How many completions the schedule expects between two local days (inclusive)
+const countExpected = (schedule, fromStr, toStr) => {
+    const { kind, days, timesPerWeek, everyDays } = normalizeSchedule(schedule);
+    const span = diffDays(fromStr, toStr) + 1;
+    if (span <= 0) return 0;
+
+    if (kind === 'daily') return span;
+    if (kind === 'interval') return Math.ceil(span / everyDays);
+    if (kind === 'timesPerWeek') {
+        // Prorate partial weeks, never asking for more than one per day
+        return Math.min(span, Math.ceil((span / 7) * timesPerWeek));
+    }
+
+    // weekdays: count the scheduled days inside the range
+    const fullWeeks = Math.floor(span / 7);
+    let expected = fullWeeks * days.length;
+    for (let i = fullWeeks * 7; i < span; i++) {
+        if (days.includes(dayOfWeek(addDays(fromStr, i)))) expected++;
+    }
+    return expected;
+};
+
+module.exports = {
+    SCHEDULE_KINDS,
+    normalizeSchedule,
+    validateSchedule,
+    isScheduledDay,
+    startOfWeek,
+    countExpected
+};
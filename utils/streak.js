@@ -0,0 +1,177 @@
+const { toLocalDateString, addDays, diffDays } = require('./dates');
+const { normalizeSchedule, isScheduledDay, startOfWeek, countExpected } = require('./schedule');
+
+// --- STREAK & COMPLETION ENGINE ---
+// Streaks count consecutive on-schedule completions in the user's local calendar days.
+// The current scheduled slot is never held against the user until it has passed.
+
+// Deduplicated completions up to (and including) today, newest first
+const pastCompletions = (completedDates, todayStr) =>
+    [...new Set(completedDates || [])]
+        .filter(d => d && d <= todayStr) // Ignore anything logged ahead of the user's local today
+        .sort()
+        .reverse();
+
+const dailyStreak = (dates, todayStr) => {
+    // If the latest completion is before yesterday, streak is broken.
+    if (dates[0] < addDays(todayStr, -1)) return 0;
+
+    // Walk back one calendar day at a time from the latest completion
+    let streak = 0;
+    let checkDateStr = dates[0];
+    for (const dateStr of dates) {
+        if (dateStr !== checkDateStr) break; // Gap found
+        streak++;
+        checkDateStr = addDays(checkDateStr, -1);
+    }
+    return streak;
+};
+
+// Mon/Wed/Fri style: every scheduled day must be done, rest days are skipped
+const weekdaysStreak = (schedule, dates, todayStr) => {
+    const done = new Set(dates);
+    const oldest = dates[dates.length - 1];
+    let streak = 0;
+
+    for (let day = todayStr; day >= oldest; day = addDays(day, -1)) {
+        if (!isScheduledDay(schedule, day)) continue;
+        if (done.has(day)) {
+            streak++;
+        } else if (day !== todayStr) {
+            break; // Missed a scheduled day (today can still be done)
+        }
+    }
+    return streak;
+};
+
+// N times per week: every completed week keeps the chain, the current week can still catch up
+const timesPerWeekStreak = (schedule, dates, todayStr) => {
+    const { timesPerWeek } = normalizeSchedule(schedule);
+    const perWeek = new Map();
+    for (const d of dates) {
+        const week = startOfWeek(d);
+        perWeek.set(week, (perWeek.get(week) || 0) + 1);
+    }
+
+    const currentWeek = startOfWeek(todayStr);
+    let streak = perWeek.get(currentWeek) || 0;
+
+    for (let week = addDays(currentWeek, -7); perWeek.has(week); week = addDays(week, -7)) {
+        const count = perWeek.get(week);
+        if (count < timesPerWeek) break;
+        streak += count;
+    }
+    return streak;
+};
+
+// Every N days: no gap between completions (or since the last one) may exceed N days
+const intervalStreak = (schedule, dates, todayStr) => {
+    const { everyDays } = normalizeSchedule(schedule);
+    if (diffDays(dates[0], todayStr) > everyDays) return 0;
+
+    let streak = 1;
+    for (let i = 1; i < dates.length; i++) {
+        if (diffDays(dates[i], dates[i - 1]) > everyDays) break;
+        streak++;
+    }
+    return streak;
+};
+
+// Streak as it stood at the end of a given local day
+const calculateStreakOn = (completedDates, schedule, todayStr) => {
+    const dates = pastCompletions(completedDates, todayStr);
+    if (dates.length === 0) return 0;
+
+    switch (normalizeSchedule(schedule).kind) {
+        case 'weekdays': return weekdaysStreak(schedule, dates, todayStr);
+        case 'timesPerWeek': return timesPerWeekStreak(schedule, dates, todayStr);
+        case 'interval': return intervalStreak(schedule, dates, todayStr);
+        default: return dailyStreak(dates, todayStr);
+    }
+};
+
+const calculateStreak = (completedDates, timezone, schedule, now = new Date()) =>
+    calculateStreakOn(completedDates, schedule, toLocalDateString(now, timezone));
+
+// Streak as of each date in `dates` (sorted, deduplicated, scheduled days only), in one pass.
+// Each value equals calculateStreakOn(dates, schedule, date) but extends the previous one
+// instead of walking the whole history again.
+const streakLengths = (dates, schedule) => {
+    const { kind, timesPerWeek, everyDays } = normalizeSchedule(schedule);
+    const lengths = [];
+    let weekCount = 0; // timesPerWeek: completions so far in the current date's week
+
+    dates.forEach((day, i) => {
+        const prev = dates[i - 1];
+        const prevLength = lengths[i - 1];
+        let length = 1;
+
+        if (prev === undefined) {
+            weekCount = 1;
+        } else if (kind === 'weekdays') {
+            // Extends the chain when no scheduled day sits between the two completions
+            let next = addDays(prev, 1);
+            while (!isScheduledDay(schedule, next)) next = addDays(next, 1);
+            if (next === day) length = prevLength + 1;
+        } else if (kind === 'timesPerWeek') {
+            const week = startOfWeek(day);
+            if (week === startOfWeek(prev)) {
+                weekCount++;
+                length = prevLength + 1;
+            } else {
+                // A new week carries the chain only if the previous week was met
+                const carries = startOfWeek(prev) === addDays(week, -7) && weekCount >= timesPerWeek;
+                weekCount = 1;
+                length = carries ? prevLength + 1 : 1;
+            }
+        } else if (kind === 'interval') {
+            if (diffDays(prev, day) <= everyDays) length = prevLength + 1;
+        } else if (addDays(prev, 1) === day) {
+            length = prevLength + 1;
+        }
+        lengths.push(length);
+    });
+    return lengths;
+};
+
+// Every streak run in the history (scheduled completions only), longest first
+const streakRuns = (completedDates, schedule, todayStr) => {
+    const dates = [...new Set(completedDates || [])]
+        .filter(d => d && d <= todayStr && isScheduledDay(schedule, d))
+        .sort();
+    const lengths = streakLengths(dates, schedule);
+
+    const runs = [];
+    for (let i = 0; i < dates.length; i++) {
+        const length = lengths[i];
+        const next = i + 1 < dates.length ? lengths[i + 1] : 0;
+        // A run ends where the following completion doesn't extend it
+        if (next <= length) {
+            runs.push({ length, startDate: dates[Math.max(0, i - length + 1)], endDate: dates[i] });
+        }
+    }
+
+    return runs.sort((a, b) => b.length - a.length || (b.endDate > a.endDate ? 1 : -1));
+};
+
+// Expected vs. actual completions between two local days (inclusive)
+const completionStats = (completedDates, schedule, fromStr, toStr) => {
+    const expected = countExpected(schedule, fromStr, toStr);
+    // Narrow to the range before deduplicating: stats call this for many short periods of a long history
+    const inRange = (completedDates || []).filter(d => d && d >= fromStr && d <= toStr);
+    const completed = [...new Set(inRange)].filter(d => isScheduledDay(schedule, d)).length;
+    return {
+        expected,
+        completed: Math.min(completed, expected), // Extra sessions don't push the rate above 100%
+        rate: expected > 0 ? Math.round((Math.min(completed, expected) / expected) * 100) : 0
+    };
+};
+
+// Completion stats for a habit since it was created, up to the user's local today
+const habitCompletionStats = (habit, timezone, now = new Date()) => {
+    const todayStr = toLocalDateString(now, timezone);
+    const createdStr = toLocalDateString(habit.createdAt || now, timezone);
+    return completionStats(habit.completedDates, habit.schedule, createdStr, todayStr);
+};
+
+module.exports = { calculateStreak, calculateStreakOn, streakRuns, completionStats, habitCompletionStats };
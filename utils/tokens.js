@@ -0,0 +1,42 @@
+const jwt = require('jsonwebtoken');
+const { requireSecret } = require('./env');
+
+// Secrets come from env; only local dev may fall back to a throwaway secret
+const ACCESS_SECRET = requireSecret('JWT_SECRET', process.env.JWT_SECRET, 'monster-dev-access-secret');
+const REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || `${ACCESS_SECRET}:refresh`;
+const ACCESS_TTL = process.env.JWT_ACCESS_TTL || '15m';
+const REFRESH_TTL = process.env.JWT_REFRESH_TTL || '30d';
+
+// Issue an access + refresh token pair for a user
+// tokenVersion is embedded in the refresh token so bumping it on the user revokes old sessions
+const issueTokens = (user) => {
+    const sub = user._id.toString();
+    const accessToken = jwt.sign({ sub, type: 'access' }, ACCESS_SECRET, { expiresIn: ACCESS_TTL });
+    const refreshToken = jwt.sign(
+        { sub, type: 'refresh', ver: user.tokenVersion || 0 },
+        REFRESH_SECRET,
+        { expiresIn: REFRESH_TTL }
+    );
+    return { accessToken, refreshToken };
+};
+
+// Returns the decoded payload, or null if the token is invalid/expired/wrong type
+const verifyAccessToken = (token) => {
+    try {
+        const payload = jwt.verify(token, ACCESS_SECRET);
+        return payload.type === 'access' ? payload : null;
+    } catch (err) {
+        return null;
+    }
+};
+
+const verifyRefreshToken = (token) => {
+    try {
+        const payload = jwt.verify(token, REFRESH_SECRET);
+        return payload.type === 'refresh' ? payload : null;
+    } catch (err) {
+        return null;
+    }
+};
+
+module.exports = { issueTokens, verifyAccessToken, verifyRefreshToken };
@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const { isValidDateString, isValidTimeString, isValidTimezone } = require('./dates');
+
+// --- DECLARATIVE VALIDATION ---
+// A rule validates and sanitizes one value. object() rules whitelist their keys:
+// anything not declared in the shape is dropped before it reaches a route.
+//
+//   const schema = object({ name: string({ max: 100 }), color: hexColor().optional() });
+//   const { value, errors } = runSchema(schema, req.body, 'body');
+
+const INVALID = Symbol('invalid');
+
+const fail = (errors, field, message) => {
+    errors.push({ field, message });
+    return INVALID;
+};
+
+const makeRule = (check) => ({
+    check,
+    isOptional: false,
+    isNullable: false,
+    optional() {
+        return { ...this, isOptional: true };
+    },
+    nullable() {
+        return { ...this, isNullable: true };
+    }
+});
+
+const runRule = (rule, value, field, errors) => {
+    if (value === undefined) {
+        if (!rule.isOptional) fail(errors, field, 'is required');
+        return undefined;
+    }
+    if (value === null) {
+        return rule.isNullable ? null : fail(errors, field, 'must not be null');
+    }
+    return rule.check(value, field, errors);
+};
+
+// --- RULES ---
+
+const string = ({ min = 0, max = 1000, trim = true, pattern, patternMessage } = {}) => makeRule((value, field, errors) => {
+    if (typeof value !== 'string') return fail(errors, field, 'must be a string');
+    const str = trim ? value.trim() : value;
+    if (str.length < min) return fail(errors, field, min === 1 ? 'must not be empty' : `must be at least ${min} characters`);
+    if (str.length > max) return fail(errors, field, `must be at most ${max} characters`);
+    if (pattern && !pattern.test(str)) return fail(errors, field, patternMessage || 'has an invalid format');
+    return str;
+});
+
+// Numbers also accept numeric strings (query params arrive as strings)
+const number = ({ min = -Infinity, max = Infinity, integer = false } = {}) => makeRule((value, field, errors) => {
+    const num = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof num !== 'number' || !Number.isFinite(num)) return fail(errors, field, 'must be a number');
+    if (integer && !Number.isInteger(num)) return fail(errors, field, 'must be a whole number');
+    if (num < min) return fail(errors, field, `must be at least ${min}`);
+    if (num > max) return fail(errors, field, `must be at most ${max}`);
+    return num;
+});
+
+const boolean = () => makeRule((value, field, errors) => {
+    if (typeof value === 'boolean') return value;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    return fail(errors, field, 'must be true or false');
+});
+
+const oneOf = (values) => makeRule((value, field, errors) => (
+    values.includes(value) ? value : fail(errors, field, `must be one of: ${values.join(', ')}`)
+));
+
+const date = () => makeRule((value, field, errors) => (
+    isValidDateString(value) ? value : fail(errors, field, 'must be a date in YYYY-MM-DD format')
+));
+
+// Wall-clock times (24h), e.g. reminder times
+const time = () => makeRule((value, field, errors) => (
+    isValidTimeString(value) ? value : fail(errors, field, 'must be a time in HH:MM format')
+));
+
+// Full timestamps (ISO 8601), e.g. pagination cursors
+const dateTime = () => makeRule((value, field, errors) => (
+    typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? value : fail(errors, field, 'must be an ISO date-time')
+));
+
+const hexColor = () => makeRule((value, field, errors) => (
+    typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value) ? value : fail(errors, field, 'must be a hex color like #4F46E5')
+));
+
+const objectId = () => makeRule((value, field, errors) => (
+    typeof value === 'string' && mongoose.isValidObjectId(value) && /^[0-9a-fA-F]{24}$/.test(value)
+        ? value
+        : fail(errors, field, 'must be a valid id')
+));
+
+const email = () => makeRule((value, field, errors) => {
+    if (typeof value !== 'string') return fail(errors, field, 'must be a string');
+    const str = value.trim().toLowerCase();
+    if (str.length > 254 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(str)) return fail(errors, field, 'must be a valid email');
+    return str;
+});
+
+// 8+ characters with at least one letter and one digit
+const password = () => makeRule((value, field, errors) => {
+    if (typeof value !== 'string') return fail(errors, field, 'must be a string');
+    if (value.length < 8) return fail(errors, field, 'must be at least 8 characters');
+    if (value.length > 128) return fail(errors, field, 'must be at most 128 characters');
+    if (!/[a-zA-Z]/.test(value) || !/\d/.test(value)) return fail(errors, field, 'must contain a letter and a number');
+    return value;
+});
+
+const timezone = () => makeRule((value, field, errors) => (
+    isValidTimezone(value) ? value : fail(errors, field, 'must be an IANA timezone like Europe/Istanbul')
+));
+
+const array = (itemRule, { max = 1000 } = {}) => makeRule((value, field, errors) => {
+    if (!Array.isArray(value)) return fail(errors, field, 'must be an array');
+    if (value.length > max) return fail(errors, field, `must have at most ${max} items`);
+    const out = value.map((item, i) => runRule(itemRule, item, `${field}[${i}]`, errors));
+    return out.includes(INVALID) ? INVALID : out;
+});
+
+// Only declared keys survive. `refine(value)` may return an error message for cross-field checks.
+const object = (shape, { refine } = {}) => makeRule((value, field, errors) => {
+    if (typeof value !== 'object' || Array.isArray(value)) return fail(errors, field, 'must be an object');
+
+    const out = {};
+    let invalid = false;
+    for (const [key, rule] of Object.entries(shape)) {
+        const result = runRule(rule, value[key], field ? `${field}.${key}` : key, errors);
+        if (result === INVALID) invalid = true;
+        else if (result !== undefined) out[key] = result;
+    }
+    if (invalid) return INVALID;
+
+    const message = refine ? refine(out) : null;
+    return message ? fail(errors, field, message) : out;
+});
+
+// Passes any JSON value through untouched (payloads parsed elsewhere, e.g. imports)
+const any = () => makeRule((value) => value);
+
+// Validates a whole request part. Missing bodies count as empty objects.
+const runSchema = (schema, input, field) => {
+    const errors = [];
+    const value = runRule(schema, input ?? {}, field, errors);
+    return { value: value === INVALID ? undefined : value, errors };
+};
+
+module.exports = {
+    string,
+    number,
+    boolean,
+    oneOf,
+    date,
+    time,
+    dateTime,
+    hexColor,
+    objectId,
+    email,
+    password,
+    timezone,
+    array,
+    object,
+    any,
+    runSchema
+};